@@ -0,0 +1,133 @@
+const { toCsvCell } = require('./listing-csv');
+
+// ============================================
+// LISTING ANALYTICS (counts per listing and day)
+// ============================================
+// Visitors' browsers report events in batches (see ANALYTICS in script.js); server.js
+// adds an inquiry for every saved showing request. Counts live in one document per
+// listing and UTC day:
+//   { id: '<listingId>:<YYYY-MM-DD>', listingId, day, impressions, detailViews,
+//     imageViews, tabViews, inquiries, tabs: { pricing: 3, ... } }
+// tabViews counts switches between the details tabs; tabs splits them per tab.
+
+const COUNTERS = ['impressions', 'detailViews', 'imageViews', 'tabViews', 'inquiries'];
+// Event type -> counter
+const EVENT_COUNTERS = {
+  impression: 'impressions',
+  'detail-view': 'detailViews',
+  'image-view': 'imageViews',
+  'tab-view': 'tabViews',
+  inquiry: 'inquiries'
+};
+const TABS = ['gallery', 'info', 'amenities', 'pricing', 'calculator'];
+const DAY = /^\d{4}-\d{2}-\d{2}$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_RANGE_DAYS = 366;
+
+function dayOf(date) {
+  return new Date(date).toISOString().slice(0, 10);
+}
+
+// Every day from `from` to `to` (inclusive), as YYYY-MM-DD
+function daysBetween(from, to) {
+  const days = [];
+  for (let t = Date.parse(from); t <= Date.parse(to); t += DAY_MS) days.push(dayOf(t));
+  return days;
+}
+
+// A real calendar day as YYYY-MM-DD; Date.parse rolls 2026-02-30 over to March
+function isDay(text) {
+  return typeof text === 'string' && DAY.test(text) && !isNaN(Date.parse(text)) && dayOf(Date.parse(text)) === text;
+}
+
+// { from, to } from query strings, or { error } for dates that do not exist or a range of
+// more than MAX_RANGE_DAYS days. Missing dates default to the `defaultDays` days up to today.
+function parseRange(query, defaultDays = 30) {
+  for (const field of ['from', 'to']) {
+    if (query[field] && !isDay(query[field])) return { error: `${field} must be a date (YYYY-MM-DD)` };
+  }
+  let to = query.to || dayOf(Date.now());
+  let from = query.from || dayOf(Date.parse(to) - (defaultDays - 1) * DAY_MS);
+  if (from > to) [from, to] = [to, from];
+  if ((Date.parse(to) - Date.parse(from)) / DAY_MS + 1 > MAX_RANGE_DAYS) {
+    return { error: `The range can cover at most ${MAX_RANGE_DAYS} days` };
+  }
+  return { from, to };
+}
+
+// The usable events of a reported batch: { type, listingId, tab? }. Events of other
+// types, or tab views of unknown tabs, are dropped.
+function normalizeEvents(input, maxEvents) {
+  const events = input && Array.isArray(input.events) ? input.events.slice(0, maxEvents) : [];
+  return events
+    .filter(e => e && typeof e === 'object' && EVENT_COUNTERS[e.type] && e.type !== 'inquiry')
+    .filter(e => (typeof e.listingId === 'string' || typeof e.listingId === 'number') && String(e.listingId))
+    .filter(e => e.type !== 'tab-view' || TABS.includes(e.tab))
+    .map(e => (e.type === 'tab-view' ? { type: e.type, listingId: String(e.listingId), tab: e.tab } : { type: e.type, listingId: String(e.listingId) }));
+}
+
+function emptyCounts() {
+  const counts = { tabs: {} };
+  COUNTERS.forEach(counter => { counts[counter] = 0; });
+  return counts;
+}
+
+function emptyDay(listingId, day) {
+  return { id: `${listingId}:${day}`, listingId, day, ...emptyCounts() };
+}
+
+function countEvent(doc, event) {
+  doc[EVENT_COUNTERS[event.type]]++;
+  if (event.tab) doc.tabs[event.tab] = (doc.tabs[event.tab] || 0) + 1;
+}
+
+function addCounts(target, doc) {
+  COUNTERS.forEach(counter => { target[counter] += doc[counter] || 0; });
+  Object.entries(doc.tabs || {}).forEach(([tab, count]) => { target.tabs[tab] = (target.tabs[tab] || 0) + count; });
+  return target;
+}
+
+// Dashboard data for the day documents in { from, to }:
+//   { from, to, totals, days: [{ day, ...counts }], listings: [{ listingId, title, ...counts }] }
+// days has every day of the range; listings is sorted by detail views, then impressions
+function summarize(docs, { from, to }, titleOf) {
+  const inRange = docs.filter(doc => doc.day >= from && doc.day <= to);
+  const byDay = new Map(daysBetween(from, to).map(day => [day, { day, ...emptyCounts() }]));
+  const byListing = new Map();
+  const totals = emptyCounts();
+  inRange.forEach(doc => {
+    // Stored days that are not real dates have no bucket
+    if (!byDay.has(doc.day)) return;
+    addCounts(byDay.get(doc.day), doc);
+    if (!byListing.has(doc.listingId)) byListing.set(doc.listingId, { listingId: doc.listingId, title: titleOf(doc.listingId), ...emptyCounts() });
+    addCounts(byListing.get(doc.listingId), doc);
+    addCounts(totals, doc);
+  });
+  const listings = Array.from(byListing.values())
+    .sort((a, b) => b.detailViews - a.detailViews || b.impressions - a.impressions);
+  return { from, to, totals, days: Array.from(byDay.values()), listings };
+}
+
+// One row per listing and day with any activity in { from, to }
+function analyticsToCsv(docs, { from, to }, titleOf) {
+  const header = ['day', 'listingId', 'title'].concat(COUNTERS, TABS.map(tab => `${tab}TabViews`));
+  const rows = docs
+    .filter(doc => doc.day >= from && doc.day <= to)
+    .sort((a, b) => a.day.localeCompare(b.day) || a.listingId.localeCompare(b.listingId))
+    .map(doc => [doc.day, doc.listingId, titleOf(doc.listingId)]
+      .concat(COUNTERS.map(counter => doc[counter] || 0), TABS.map(tab => (doc.tabs && doc.tabs[tab]) || 0)));
+  return [header].concat(rows).map(cells => cells.map(toCsvCell).join(',')).join('\r\n');
+}
+
+module.exports = {
+  MAX_RANGE_DAYS,
+  COUNTERS,
+  TABS,
+  dayOf,
+  parseRange,
+  normalizeEvents,
+  emptyDay,
+  countEvent,
+  summarize,
+  analyticsToCsv
+};
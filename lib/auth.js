@@ -0,0 +1,75 @@
+const crypto = require('crypto');
+
+// ============================================
+// PASSWORD HASHING (scrypt)
+// ============================================
+// Hashes are stored as "scrypt$<salt hex>$<key hex>" so they can live in .env
+const KEY_LENGTH = 64;
+
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const key = crypto.scryptSync(String(password), salt, KEY_LENGTH);
+  return `scrypt$${salt.toString('hex')}$${key.toString('hex')}`;
+}
+
+function verifyPassword(password, storedHash) {
+  if (typeof storedHash !== 'string') return false;
+  const [scheme, saltHex, keyHex] = storedHash.split('$');
+  if (scheme !== 'scrypt' || !saltHex || !keyHex) return false;
+
+  const expected = Buffer.from(keyHex, 'hex');
+  const actual = crypto.scryptSync(String(password), Buffer.from(saltHex, 'hex'), expected.length);
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+// ============================================
+// SIGNED SESSION TOKENS
+// ============================================
+// Token format: base64url(JSON payload) + "." + base64url(HMAC-SHA256 signature)
+function sign(value, secret) {
+  return crypto.createHmac('sha256', secret).update(value).digest('base64url');
+}
+
+function createToken(payload, secret) {
+  const body = Buffer.from(JSON.stringify(payload)).toString('base64url');
+  return `${body}.${sign(body, secret)}`;
+}
+
+// Returns the payload when the signature is valid and the token has not expired, otherwise null
+function verifyToken(token, secret) {
+  if (typeof token !== 'string' || !token.includes('.')) return null;
+  const [body, signature] = token.split('.');
+  const expected = Buffer.from(sign(body, secret));
+  const actual = Buffer.from(signature || '');
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return null;
+
+  try {
+    const payload = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+    if (!payload || typeof payload.exp !== 'number' || payload.exp <= Date.now()) return null;
+    return payload;
+  } catch (err) {
+    return null;
+  }
+}
+
+// Minimal Cookie header parser (express does not ship one)
+function parseCookies(header) {
+  const cookies = {};
+  if (!header) return cookies;
+  header.split(';').forEach(part => {
+    const eq = part.indexOf('=');
+    if (eq === -1) return;
+    const name = part.slice(0, eq).trim();
+    const value = part.slice(eq + 1).trim();
+    try { cookies[name] = decodeURIComponent(value); } catch (e) { cookies[name] = value; }
+  });
+  return cookies;
+}
+
+module.exports = {
+  hashPassword,
+  verifyPassword,
+  createToken,
+  verifyToken,
+  parseCookies
+};
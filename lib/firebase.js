@@ -0,0 +1,26 @@
+const fs = require('fs');
+const path = require('path');
+const admin = require('firebase-admin');
+
+// ============================================
+// FIREBASE CONNECTION (server.js and scripts/)
+// ============================================
+// Uses the service account at FIREBASE_SERVICE_ACCOUNT_PATH (default firebase-key.json,
+// relative to rootDir) for FIREBASE_PROJECT_ID. Returns { db, bucket }, or null when the
+// credentials are not configured; throws when they are present but unusable.
+function connectFirebase(rootDir) {
+  const serviceAccountPath = path.resolve(rootDir, process.env.FIREBASE_SERVICE_ACCOUNT_PATH || 'firebase-key.json');
+  const projectId = process.env.FIREBASE_PROJECT_ID;
+  if (!projectId || !fs.existsSync(serviceAccountPath)) return null;
+
+  admin.initializeApp({
+    credential: admin.credential.cert(require(serviceAccountPath)),
+    databaseURL: `https://${projectId}.firebaseio.com`
+  });
+  return {
+    db: admin.firestore(),
+    bucket: admin.storage().bucket(`${projectId}.appspot.com`)
+  };
+}
+
+module.exports = { connectFirebase };
@@ -0,0 +1,88 @@
+// ============================================
+// LEAD SCHEMA (shared by server.js and script.js)
+// ============================================
+// validateLead(input) returns { valid, errors: [{ field, message }], value } for a
+// "Schedule a Showing" request. Contact needs a name plus a phone number or email;
+// preferredSlots are ISO date-time strings in the future. validateLeadUpdate checks an
+// admin's status change / note for the leads inbox.
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else root.LeadSchema = factory();
+})(typeof self !== 'undefined' ? self : this, function () {
+  const MAX_SLOTS = 3;
+  // Pipeline order for the admin inbox
+  const LEAD_STATUSES = ['new', 'contacted', 'viewing-scheduled', 'reserved', 'closed', 'lost'];
+  const STATUS_LABELS = {
+    'new': 'New',
+    'contacted': 'Contacted',
+    'viewing-scheduled': 'Viewing scheduled',
+    'reserved': 'Reserved',
+    'closed': 'Closed',
+    'lost': 'Lost'
+  };
+  const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+  const PHONE_PATTERN = /^\+?[\d\s()-]{7,20}$/;
+
+  function text(value, max) {
+    return typeof value === 'string' ? value.trim().slice(0, max) : '';
+  }
+
+  function validateLead(input, now = Date.now()) {
+    const errors = [];
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+      return { valid: false, errors: [{ field: '', message: 'Request must be an object' }], value: null };
+    }
+
+    const value = {
+      listingId: input.listingId != null ? String(input.listingId) : '',
+      name: text(input.name, 120),
+      phone: text(input.phone, 30),
+      email: text(input.email, 200).toLowerCase(),
+      message: text(input.message, 2000),
+      pricingUnit: text(input.pricingUnit, 200),
+      preferredSlots: []
+    };
+
+    if (!value.listingId) errors.push({ field: 'listingId', message: 'A listing is required' });
+    if (!value.name) errors.push({ field: 'name', message: 'Name is required' });
+    if (!value.phone && !value.email) errors.push({ field: 'phone', message: 'Phone or email is required' });
+    if (value.phone && !PHONE_PATTERN.test(value.phone)) errors.push({ field: 'phone', message: 'Phone number is not valid' });
+    if (value.email && !EMAIL_PATTERN.test(value.email)) errors.push({ field: 'email', message: 'Email address is not valid' });
+
+    const slots = Array.isArray(input.preferredSlots) ? input.preferredSlots : [];
+    slots.filter(Boolean).slice(0, MAX_SLOTS).forEach((slot, i) => {
+      const time = Date.parse(slot);
+      if (isNaN(time)) errors.push({ field: `preferredSlots[${i}]`, message: 'Preferred date/time is not valid' });
+      else if (time < now) errors.push({ field: `preferredSlots[${i}]`, message: 'Preferred date/time must be in the future' });
+      else value.preferredSlots.push(new Date(time).toISOString());
+    });
+    if (!value.preferredSlots.length && !errors.some(e => e.field.startsWith('preferredSlots'))) {
+      errors.push({ field: 'preferredSlots[0]', message: 'Pick at least one preferred date/time' });
+    }
+
+    return { valid: errors.length === 0, errors, value };
+  }
+
+  function validateLeadUpdate(input) {
+    const errors = [];
+    const value = {};
+    if (!input || typeof input !== 'object') {
+      return { valid: false, errors: [{ field: '', message: 'Update must be an object' }], value: null };
+    }
+    if (input.status !== undefined) {
+      if (!LEAD_STATUSES.includes(input.status)) errors.push({ field: 'status', message: 'Unknown status' });
+      else value.status = input.status;
+    }
+    if (input.note !== undefined) {
+      const note = text(input.note, 2000);
+      if (!note) errors.push({ field: 'note', message: 'Note cannot be empty' });
+      else value.note = note;
+    }
+    if (!errors.length && value.status === undefined && value.note === undefined) {
+      errors.push({ field: '', message: 'Nothing to update' });
+    }
+    return { valid: errors.length === 0, errors, value };
+  }
+
+  return { MAX_SLOTS, LEAD_STATUSES, STATUS_LABELS, validateLead, validateLeadUpdate };
+});
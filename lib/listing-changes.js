@@ -0,0 +1,129 @@
+const crypto = require('crypto');
+
+// ============================================
+// LISTING CHANGES (delta sync for socket clients)
+// ============================================
+// Every listing write is recorded as a change with the next sequence number:
+//   { seq, action, op: 'add', id, listing }        a listing the client does not have yet
+//   { seq, action, op: 'patch', id, set, unset }   only the top-level fields that changed
+//   { seq, action, op: 'remove', id }
+// action says what happened ('added', 'updated', 'deleted', 'restored', or 'published'
+// for visitors seeing a listing for the first time) so clients can word notifications.
+// Fields are compared by a hash of their JSON, so a gallery of data URLs is only resent
+// when it changes. The newest `limit` changes are kept: a client that reconnects with a
+// sequence number still covered by them gets just the changes since, anyone else (further
+// behind, or from before a server restart, which starts a new epoch) a full snapshot.
+// Visitors only see public listings: for them a listing leaving the public statuses is
+// removed and one entering them is added whole.
+
+function hashValue(value) {
+  return crypto.createHash('sha1').update(JSON.stringify(value === undefined ? null : value)).digest('base64');
+}
+
+function fieldHashes(listing) {
+  const hashes = {};
+  Object.keys(listing).forEach(field => { hashes[field] = hashValue(listing[field]); });
+  return hashes;
+}
+
+// options: { isPublic(listing), limit }
+function createListingChangeLog({ isPublic, limit = 500 }) {
+  const epoch = `${Date.now().toString(36)}-${crypto.randomBytes(3).toString('hex')}`;
+  const known = new Map(); // id -> { hashes, version, isPublic } as of the latest change
+  let changes = [];
+  let seq = 0;
+  // Clients at or past this sequence can resume from the log
+  let resumableFrom = 0;
+
+  // The listings the log starts from (loaded from storage)
+  function seed(listings) {
+    known.clear();
+    listings.forEach(listing => known.set(listing.id, {
+      hashes: fieldHashes(listing),
+      version: listing.version || 0,
+      isPublic: isPublic(listing)
+    }));
+  }
+
+  // Record a saved listing, or its removal when listing is null. Returns the change, or
+  // null when clients have nothing to apply (no field changed, or an older version
+  // arriving after a newer one).
+  function record(action, listing, id = listing && listing.id) {
+    const previous = known.get(id);
+    let change;
+    if (!listing) {
+      if (!previous) return null;
+      known.delete(id);
+      change = { op: 'remove', wasPublic: previous.isPublic, isPublic: false };
+    } else {
+      const version = listing.version || 0;
+      if (previous && version < previous.version) return null;
+      const hashes = fieldHashes(listing);
+      const nowPublic = isPublic(listing);
+      known.set(id, { hashes, version, isPublic: nowPublic });
+      if (!previous) {
+        change = { op: 'add', wasPublic: false, isPublic: nowPublic };
+      } else {
+        const set = {};
+        Object.keys(hashes).forEach(field => {
+          if (hashes[field] !== previous.hashes[field]) set[field] = listing[field];
+        });
+        const unset = Object.keys(previous.hashes).filter(field => !(field in hashes));
+        if (!Object.keys(set).length && !unset.length) return null;
+        change = { op: 'patch', set, unset, wasPublic: previous.isPublic, isPublic: nowPublic };
+      }
+    }
+    Object.assign(change, { seq: ++seq, action, id, listing });
+    changes.push(change);
+    if (changes.length > limit) {
+      const dropped = changes.splice(0, changes.length - limit);
+      resumableFrom = dropped[dropped.length - 1].seq;
+    }
+    return change;
+  }
+
+  // After the listings were replaced wholesale (e.g. a backup restore): every client
+  // needs a snapshot. seed() must already have been given the new listings.
+  function reset() {
+    seq++;
+    changes = [];
+    resumableFrom = seq;
+  }
+
+  // A change as an admin or a visitor receives it; null when a visitor should not see it
+  function viewFor(change, admin) {
+    const { seq: changeSeq, action, id, op, listing, set, unset, wasPublic, isPublic: nowPublic } = change;
+    if (!admin) {
+      if (!wasPublic && !nowPublic) return null;
+      if (!nowPublic) return { seq: changeSeq, action: 'deleted', op: 'remove', id };
+      if (!wasPublic) return { seq: changeSeq, action: op === 'add' ? action : 'published', op: 'add', id, listing };
+    }
+    if (op === 'add') return { seq: changeSeq, action, op, id, listing };
+    if (op === 'patch') return { seq: changeSeq, action, op, id, set, unset };
+    return { seq: changeSeq, action, op, id };
+  }
+
+  // Changes after clientSeq as this viewer receives them, or null when the client must
+  // take a snapshot instead
+  function since(clientEpoch, clientSeq, admin) {
+    if (clientEpoch !== epoch || !Number.isInteger(clientSeq) || clientSeq < resumableFrom || clientSeq > seq) {
+      return null;
+    }
+    return changes
+      .filter(change => change.seq > clientSeq)
+      .map(change => viewFor(change, admin))
+      .filter(Boolean);
+  }
+
+  return {
+    epoch,
+    get seq() { return seq; },
+    seed,
+    record,
+    reset,
+    viewFor,
+    since
+  };
+}
+
+module.exports = { createListingChangeLog };
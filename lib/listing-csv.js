@@ -0,0 +1,179 @@
+// ============================================
+// LISTING CSV (shared by server.js and script.js)
+// ============================================
+// Spreadsheet layout for bulk import/export: one row per pricing unit. The first row of
+// a listing carries its fields; following rows that fill in only unit columns add more
+// units to the same listing. List cells (gallery, amenities, locations, unit notes) are separated by
+// ";" or line breaks; captions is a JSON object of image URL -> caption. version is the
+// listing's version when exported, so the server can refuse rows edited since. Headers are
+// matched loosely ("Bedrooms", "beds", "Total Price"...). csvToListings returns raw
+// listings for ListingSchema.validateListing to check.
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory(require('./pricing'));
+  else root.ListingCsv = factory(root.ListingPricing);
+})(typeof self !== 'undefined' ? self : this, function (ListingPricing) {
+  const LISTING_COLUMNS = ['id', 'version', 'title', 'location', 'description', 'locationDetails', 'beds', 'baths',
+    'status', 'publishAt', 'mainImage', 'gallery', 'captions', 'amenities', 'locations'];
+  const UNIT_COLUMNS = ['unitTitle', 'unitType'].concat(ListingPricing.NUMERIC_FIELDS, ['unitNotes']);
+  const COLUMNS = LISTING_COLUMNS.concat(UNIT_COLUMNS);
+  const LIST_COLUMNS = ['gallery', 'amenities', 'locations', 'unitNotes'];
+
+  // Other header spellings, compared lowercased without spaces or punctuation
+  const HEADER_ALIASES = {
+    name: 'title', project: 'title', projectname: 'title',
+    address: 'location',
+    bedrooms: 'beds', bedroom: 'beds', br: 'beds',
+    bathrooms: 'baths', bathroom: 'baths', ba: 'baths',
+    coverimage: 'mainImage', image: 'mainImage', photo: 'mainImage',
+    photos: 'gallery', images: 'gallery',
+    nearby: 'locations', nearbylocations: 'locations', landmarks: 'locations',
+    unit: 'unitTitle', unitname: 'unitTitle',
+    type: 'unitType', view: 'unitType',
+    sqm: 'floorArea', area: 'floorArea',
+    price: 'totalPrice', sellingprice: 'totalPrice', totalsellingprice: 'totalPrice',
+    reservation: 'reservationFee',
+    downpayment: 'downpaymentPercent', dp: 'downpaymentPercent', dppercent: 'downpaymentPercent',
+    dpmonths: 'downpaymentMonths', monthlydp: 'monthlyDownpayment', monthly: 'monthlyDownpayment',
+    bankfinancing: 'bankFinancedPercent', bankfinanced: 'bankFinancedPercent',
+    notes: 'unitNotes'
+  };
+
+  function headerKey(header) {
+    return String(header).toLowerCase().replace(/[^a-z0-9]/g, '');
+  }
+
+  const COLUMN_BY_KEY = {};
+  COLUMNS.forEach(column => { COLUMN_BY_KEY[headerKey(column)] = column; });
+  Object.entries(HEADER_ALIASES).forEach(([alias, column]) => { COLUMN_BY_KEY[alias] = column; });
+
+  // RFC 4180 parsing: quoted cells may hold commas, quotes ("") and line breaks. The
+  // delimiter is "," unless the header line has more ";" (common in European exports).
+  function parseCsv(text) {
+    text = String(text).replace(/^﻿/, '');
+    const firstLine = text.split(/\r?\n/, 1)[0];
+    const delimiter = (firstLine.match(/;/g) || []).length > (firstLine.match(/,/g) || []).length ? ';' : ',';
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+    for (let i = 0; i < text.length; i++) {
+      const ch = text[i];
+      if (quoted) {
+        if (ch === '"' && text[i + 1] === '"') { cell += '"'; i++; }
+        else if (ch === '"') quoted = false;
+        else cell += ch;
+      } else if (ch === '"' && cell === '') {
+        quoted = true;
+      } else if (ch === delimiter) {
+        row.push(cell); cell = '';
+      } else if (ch === '\n' || ch === '\r') {
+        if (ch === '\r' && text[i + 1] === '\n') i++;
+        row.push(cell); rows.push(row);
+        row = []; cell = '';
+      } else {
+        cell += ch;
+      }
+    }
+    if (cell !== '' || row.length) { row.push(cell); rows.push(row); }
+    // Drop blank lines
+    return rows.filter(r => r.some(c => c.trim() !== ''));
+  }
+
+  // Spreadsheets run cells starting with these as formulas; exports prefix them with '
+  const FORMULA_START = /^[=+\-@\t\r]/;
+
+  function toCsvCell(value) {
+    let text = value == null ? '' : String(value);
+    if (FORMULA_START.test(text)) text = `'${text}`;
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  function fromCsvCell(text) {
+    const trimmed = text.trim();
+    return trimmed[0] === "'" && FORMULA_START.test(trimmed.slice(1)) ? trimmed.slice(1) : trimmed;
+  }
+
+  function splitList(text) {
+    return text.split(/[;\n]/).map(s => s.trim()).filter(Boolean);
+  }
+
+  // Cell text -> listing field value; a captions cell that is not JSON is passed on as text
+  // for the schema to reject
+  function listingValue(column, text) {
+    if (LIST_COLUMNS.includes(column)) return splitList(text);
+    if (column === 'version') return Number(text);
+    if (column === 'captions') {
+      try {
+        return JSON.parse(text);
+      } catch (err) {
+        return text;
+      }
+    }
+    return text;
+  }
+
+  function listingCell(column, value) {
+    if (Array.isArray(value)) return value.join('; ');
+    if (column === 'captions') return value && Object.keys(value).length ? JSON.stringify(value) : '';
+    return value;
+  }
+
+  // -> { listings: [{ line, listing }], unmapped: [header] }; line is the 1-based CSV line
+  // of the listing's first row, for error messages
+  function csvToListings(text) {
+    const rows = parseCsv(text);
+    if (!rows.length) return { listings: [], unmapped: [] };
+    const headers = rows[0].map(h => COLUMN_BY_KEY[headerKey(h)] || null);
+    const unmapped = rows[0].filter((h, i) => !headers[i] && h.trim());
+
+    const result = [];
+    let current = null;
+    rows.slice(1).forEach((cells, r) => {
+      const record = {};
+      headers.forEach((column, i) => {
+        if (column && cells[i] !== undefined) record[column] = fromCsvCell(cells[i]);
+      });
+
+      // A row with only unit cells (and at most the same id) adds a unit to the listing above
+      const continues = current && LISTING_COLUMNS.every(column => (column === 'id'
+        ? !record.id || record.id === current.listing.id
+        : !record[column]));
+      if (!continues) {
+        const listing = { pricing: [] };
+        LISTING_COLUMNS.forEach(column => {
+          const value = record[column];
+          if (value === undefined || value === '') return;
+          listing[column] = listingValue(column, value);
+        });
+        current = { line: r + 2, listing };
+        result.push(current);
+      }
+
+      if (record.unitTitle || ListingPricing.NUMERIC_FIELDS.some(f => record[f])) {
+        const unit = { title: record.unitTitle || '', type: record.unitType || '', items: splitList(record.unitNotes || '') };
+        ListingPricing.NUMERIC_FIELDS.forEach(f => { unit[f] = record[f] === undefined || record[f] === '' ? null : record[f]; });
+        current.listing.pricing.push(unit);
+      }
+    });
+    return { listings: result, unmapped };
+  }
+
+  function listingsToCsv(listings) {
+    const lines = [COLUMNS];
+    listings.forEach(listing => {
+      const base = LISTING_COLUMNS.map(column => listingCell(column, listing[column]));
+      const units = listing.pricing && listing.pricing.length ? listing.pricing : [null];
+      units.forEach((unit, i) => {
+        // Continuation rows only repeat the id
+        const listingCells = i === 0 ? base : LISTING_COLUMNS.map(column => (column === 'id' ? listing.id : ''));
+        const unitCells = unit
+          ? [unit.title, unit.type].concat(ListingPricing.NUMERIC_FIELDS.map(f => unit[f]), [(unit.items || []).join('; ')])
+          : UNIT_COLUMNS.map(() => '');
+        lines.push(listingCells.concat(unitCells));
+      });
+    });
+    return lines.map(cells => cells.map(toCsvCell).join(',')).join('\r\n');
+  }
+
+  return { COLUMNS, parseCsv, csvToListings, listingsToCsv, toCsvCell };
+});
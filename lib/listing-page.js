@@ -0,0 +1,59 @@
+// ============================================
+// LISTING PAGE HEAD (Open Graph / Twitter tags for /listing/:id)
+// ============================================
+const DEFAULT_SHARE_IMAGE = 'auria.jpg';
+
+function escapeHtml(value) {
+  return String(value == null ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function absoluteUrl(origin, urlPath) {
+  if (/^https?:\/\//i.test(urlPath)) return urlPath;
+  return `${origin.replace(/\/$/, '')}/${String(urlPath).replace(/^\//, '')}`;
+}
+
+// Crawlers cannot use inline data: URLs, so pick the first real image
+function shareImageFor(listing) {
+  const candidates = [listing.mainImage].concat(listing.gallery || []);
+  return candidates.find(src => typeof src === 'string' && src && !src.startsWith('data:')) || DEFAULT_SHARE_IMAGE;
+}
+
+// html is index.html; listing is null for a missing or hidden listing. origin is the
+// site origin the absolute URLs are built from, path the requested /listing/:id path.
+function renderListingPage(html, listing, { origin, path }) {
+  const title = listing ? `${listing.title} - Atheni Lynn Real Estate` : 'Listing not found - Atheni Lynn Real Estate';
+  const description = listing
+    ? [listing.location, listing.description].filter(Boolean).join(' — ').slice(0, 300)
+    : 'This listing is no longer available.';
+  const image = absoluteUrl(origin, listing ? shareImageFor(listing) : DEFAULT_SHARE_IMAGE);
+  const url = absoluteUrl(origin, path);
+
+  const meta = [
+    // index.html uses relative asset paths; resolve them from the site root
+    '<base href="/">',
+    `<meta name="description" content="${escapeHtml(description)}">`,
+    '<meta property="og:type" content="website">',
+    '<meta property="og:site_name" content="Atheni Lynn Real Estate">',
+    `<meta property="og:title" content="${escapeHtml(listing ? listing.title : title)}">`,
+    `<meta property="og:description" content="${escapeHtml(description)}">`,
+    `<meta property="og:image" content="${escapeHtml(image)}">`,
+    `<meta property="og:url" content="${escapeHtml(url)}">`,
+    '<meta name="twitter:card" content="summary_large_image">',
+    `<meta name="twitter:title" content="${escapeHtml(listing ? listing.title : title)}">`,
+    `<meta name="twitter:description" content="${escapeHtml(description)}">`,
+    `<meta name="twitter:image" content="${escapeHtml(image)}">`,
+    `<link rel="canonical" href="${escapeHtml(url)}">`
+  ].join('\n    ');
+
+  // Injected ahead of <title>, i.e. after the charset meta and before any relative asset
+  // link. A replacer function, so `$&` or `$'` in listing text are not read as patterns.
+  const head = `${meta}\n    <title>${escapeHtml(title)}</title>`;
+  return html.replace(/<title>[^<]*<\/title>/, () => head);
+}
+
+module.exports = { renderListingPage };
@@ -0,0 +1,205 @@
+// ============================================
+// LISTING SCHEMA (shared by server.js and script.js)
+// ============================================
+// validateListing(input) returns { valid, errors: [{ field, message }], value } where
+// value is the normalized listing: trimmed strings, numeric beds/baths, string arrays
+// and pricing units with the numeric terms from lib/pricing.js (legacy text-only units
+// are migrated). captions maps an image URL (mainImage or a gallery entry) to its
+// caption / alt text. status is one of LISTING_STATUSES (default 'published'); scheduled
+// listings need a publishAt time. Unknown fields are dropped. validateListingPatch(existing,
+// patch) checks a partial update merged into a stored listing.
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory(require('./pricing'));
+  else root.ListingSchema = factory(root.ListingPricing);
+})(typeof self !== 'undefined' ? self : this, function (ListingPricing) {
+  const MAX_TEXT = 200;
+  const MAX_LONG_TEXT = 5000;
+  const MAX_CAPTION = 200;
+
+  const LISTING_STATUSES = ['draft', 'scheduled', 'published', 'sold', 'archived'];
+  const STATUS_LABELS = {
+    draft: 'Draft',
+    scheduled: 'Scheduled',
+    published: 'Published',
+    sold: 'Sold',
+    archived: 'Archived'
+  };
+  // Statuses visitors can see; the others are admin-only
+  const PUBLIC_STATUSES = ['published', 'sold'];
+
+  function isPublicListing(listing) {
+    return PUBLIC_STATUSES.includes((listing && listing.status) || 'published');
+  }
+
+  const STRING_FIELDS = {
+    title: { required: true, max: MAX_TEXT },
+    location: { required: true, max: MAX_TEXT },
+    description: { max: MAX_LONG_TEXT },
+    locationDetails: { max: MAX_LONG_TEXT },
+    mainImage: {}
+  };
+  const COUNT_FIELDS = ['beds', 'baths'];
+  const LIST_FIELDS = ['gallery', 'amenities', 'locations'];
+  // Bookkeeping fields kept as-is when present (version is the server's revision counter)
+  const PASSTHROUGH_FIELDS = ['createdAt', 'updatedAt', 'version'];
+
+  // Accept arrays or newline-separated text; trim and drop empty entries
+  function toStringList(value) {
+    if (typeof value === 'string') value = value.split('\n');
+    if (!Array.isArray(value)) return null;
+    if (value.some(v => typeof v !== 'string' && typeof v !== 'number')) return null;
+    return value.map(v => String(v).trim()).filter(Boolean);
+  }
+
+  // Upper bounds for the numeric pricing terms (percentages cap at 100)
+  const PRICING_LIMITS = { downpaymentPercent: 100, bankFinancedPercent: 100, downpaymentMonths: 600 };
+
+  function normalizePricingUnit(rawUnit, index, errors) {
+    const field = `pricing[${index}]`;
+    if (!rawUnit || typeof rawUnit !== 'object' || Array.isArray(rawUnit)) {
+      errors.push({ field, message: 'Pricing unit must be an object' });
+      return null;
+    }
+    const unit = ListingPricing.migratePricingUnit(rawUnit);
+    const title = typeof unit.title === 'string' ? unit.title.trim() : '';
+    if (!title) errors.push({ field: `${field}.title`, message: 'Unit title is required' });
+    if (unit.type != null && typeof unit.type !== 'string') {
+      errors.push({ field: `${field}.type`, message: 'Unit type must be text' });
+    }
+    const items = toStringList(unit.items == null ? [] : unit.items);
+    if (!items) errors.push({ field: `${field}.items`, message: 'Unit items must be a list of text lines' });
+
+    const normalized = {
+      title,
+      type: typeof unit.type === 'string' ? unit.type.trim() : ''
+    };
+    ListingPricing.NUMERIC_FIELDS.forEach(name => {
+      const raw = unit[name];
+      if (raw === null || raw === undefined || raw === '') {
+        normalized[name] = null;
+        return;
+      }
+      const num = typeof raw === 'number' ? raw : ListingPricing.parseAmount(String(raw));
+      const max = PRICING_LIMITS[name];
+      if (num === null || !Number.isFinite(num) || num < 0 || (max !== undefined && num > max)) {
+        errors.push({ field: `${field}.${name}`, message: max !== undefined ? `${name} must be between 0 and ${max}` : `${name} must be a non-negative number` });
+        normalized[name] = null;
+      } else {
+        normalized[name] = num;
+      }
+    });
+    normalized.items = items || [];
+    return normalized;
+  }
+
+  function validateListing(input) {
+    const errors = [];
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+      return { valid: false, errors: [{ field: '', message: 'Listing must be an object' }], value: null };
+    }
+
+    const value = {};
+    if (input.id != null && input.id !== '') value.id = String(input.id);
+
+    Object.entries(STRING_FIELDS).forEach(([field, rule]) => {
+      const raw = input[field];
+      if (raw != null && typeof raw !== 'string') {
+        errors.push({ field, message: `${field} must be text` });
+        value[field] = '';
+        return;
+      }
+      const text = (raw || '').trim();
+      if (rule.required && !text) errors.push({ field, message: `${field} is required` });
+      if (rule.max && text.length > rule.max) errors.push({ field, message: `${field} must be at most ${rule.max} characters` });
+      value[field] = text;
+    });
+
+    COUNT_FIELDS.forEach(field => {
+      const raw = input[field];
+      const num = raw === '' || raw == null ? 0 : Number(raw);
+      if (!Number.isInteger(num) || num < 0) {
+        errors.push({ field, message: `${field} must be a non-negative whole number` });
+        value[field] = 0;
+      } else {
+        value[field] = num;
+      }
+    });
+
+    LIST_FIELDS.forEach(field => {
+      const list = toStringList(input[field] == null ? [] : input[field]);
+      if (!list) errors.push({ field, message: `${field} must be a list of text values` });
+      value[field] = list || [];
+    });
+
+    if (input.pricing != null && !Array.isArray(input.pricing)) {
+      errors.push({ field: 'pricing', message: 'pricing must be a list of units' });
+      value.pricing = [];
+    } else {
+      value.pricing = (input.pricing || []).map((unit, i) => normalizePricingUnit(unit, i, errors)).filter(Boolean);
+    }
+
+    if (input.captions != null && (typeof input.captions !== 'object' || Array.isArray(input.captions))) {
+      errors.push({ field: 'captions', message: 'captions must map image URLs to text' });
+      value.captions = {};
+    } else {
+      // Keep captions only for images the listing still uses
+      const images = new Set([value.mainImage].concat(value.gallery));
+      value.captions = {};
+      Object.entries(input.captions || {}).forEach(([src, raw]) => {
+        if (!images.has(src) || raw == null) return;
+        const caption = typeof raw === 'string' ? raw.trim() : null;
+        if (caption === null) errors.push({ field: 'captions', message: 'Captions must be text' });
+        else if (caption.length > MAX_CAPTION) errors.push({ field: 'captions', message: `Captions must be at most ${MAX_CAPTION} characters` });
+        else if (caption) value.captions[src] = caption;
+      });
+    }
+
+    value.status = input.status == null || input.status === '' ? 'published' : input.status;
+    if (!LISTING_STATUSES.includes(value.status)) {
+      errors.push({ field: 'status', message: `status must be one of: ${LISTING_STATUSES.join(', ')}` });
+      value.status = 'draft';
+    }
+    const publishAt = input.publishAt == null || input.publishAt === '' ? NaN : Date.parse(input.publishAt);
+    value.publishAt = isNaN(publishAt) ? null : new Date(publishAt).toISOString();
+    if (input.publishAt != null && input.publishAt !== '' && isNaN(publishAt)) {
+      errors.push({ field: 'publishAt', message: 'publishAt must be a date and time' });
+    } else if (value.status === 'scheduled' && !value.publishAt) {
+      errors.push({ field: 'publishAt', message: 'Scheduled listings need a publish date and time' });
+    }
+
+    PASSTHROUGH_FIELDS.forEach(field => {
+      if (input[field] !== undefined) value[field] = input[field];
+    });
+
+    return { valid: errors.length === 0, errors, value };
+  }
+
+  // Errors in these fields can come from a change to the listed ones
+  const FIELD_DEPENDENCIES = { publishAt: ['status'], captions: ['mainImage', 'gallery'] };
+
+  // Only errors in the patched fields (and the fields depending on them) count, so a stored
+  // listing that predates a rule, e.g. one without a location, can still be patched. Such
+  // untouched fields keep their stored value.
+  function validateListingPatch(existing, patch) {
+    if (!patch || typeof patch !== 'object' || Array.isArray(patch)) {
+      return { valid: false, errors: [{ field: '', message: 'Listing must be an object' }], value: null };
+    }
+    const result = validateListing({ ...existing, ...patch, id: existing.id });
+    const touched = field => field in patch || (FIELD_DEPENDENCIES[field] || []).some(dep => dep in patch);
+    const errors = [];
+    result.errors.forEach(error => {
+      const field = error.field.split(/[.[]/)[0];
+      if (touched(field)) errors.push(error);
+      else if (existing[field] === undefined) delete result.value[field];
+      else result.value[field] = existing[field];
+    });
+    return { valid: errors.length === 0, errors, value: result.value };
+  }
+
+  // One line per error, for alerts and notifications
+  function formatErrors(errors) {
+    return (errors || []).map(e => e.field ? `${e.field}: ${e.message}` : e.message).join('\n');
+  }
+
+  return { LISTING_STATUSES, STATUS_LABELS, isPublicListing, validateListing, validateListingPatch, formatErrors };
+});
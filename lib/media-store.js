@@ -0,0 +1,113 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+
+// ============================================
+// MEDIA STORE (uploaded listing photos)
+// ============================================
+// Every upload is stored as <id>/original.<ext>, <id>/web.jpg and <id>/thumb.jpg where
+// <id> is a hash of the file contents, so URLs are stable and re-uploads deduplicate.
+// Listings reference the web variant; clients derive the thumbnail by swapping the
+// file name (see thumbnailSrc in script.js).
+const VARIANTS = {
+  web: { width: 1600, quality: 80 },
+  thumb: { width: 400, height: 300, quality: 70 }
+};
+
+const EXTENSIONS = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/webp': 'webp',
+  'image/gif': 'gif',
+  'image/avif': 'avif',
+  'image/heic': 'heic'
+};
+
+function contentId(buffer) {
+  return crypto.createHash('sha256').update(buffer).digest('hex').slice(0, 24);
+}
+
+function originalExtension(file) {
+  if (EXTENSIONS[file.mimetype]) return EXTENSIONS[file.mimetype];
+  const ext = path.extname(file.originalname || '').slice(1).toLowerCase();
+  return /^[a-z0-9]{1,5}$/.test(ext) ? ext : 'bin';
+}
+
+// Resized JPEG variants, auto-rotated from EXIF. Rejects files sharp cannot decode.
+async function createVariants(buffer) {
+  const image = sharp(buffer, { failOn: 'error' }).rotate();
+  const [web, thumb] = await Promise.all([
+    image.clone()
+      .resize({ width: VARIANTS.web.width, withoutEnlargement: true })
+      .jpeg({ quality: VARIANTS.web.quality, mozjpeg: true })
+      .toBuffer(),
+    image.clone()
+      .resize(VARIANTS.thumb.width, VARIANTS.thumb.height, { fit: 'cover' })
+      .jpeg({ quality: VARIANTS.thumb.quality, mozjpeg: true })
+      .toBuffer()
+  ]);
+  return { web, thumb };
+}
+
+// Prepare the files to write for an upload: [{ name, buffer, contentType }]
+async function prepareUpload(file) {
+  const { web, thumb } = await createVariants(file.buffer);
+  const originalName = `original.${originalExtension(file)}`;
+  return {
+    id: contentId(file.buffer),
+    originalName,
+    files: [
+      { name: originalName, buffer: file.buffer, contentType: file.mimetype },
+      { name: 'web.jpg', buffer: web, contentType: 'image/jpeg' },
+      { name: 'thumb.jpg', buffer: thumb, contentType: 'image/jpeg' }
+    ]
+  };
+}
+
+function describe(baseUrl, id, originalName) {
+  return {
+    id,
+    url: `${baseUrl}/${id}/web.jpg`,
+    thumbnailUrl: `${baseUrl}/${id}/thumb.jpg`,
+    originalUrl: `${baseUrl}/${id}/${originalName}`
+  };
+}
+
+// Local disk store; rootDir must be served at publicPath (server.js mounts /uploads)
+function createLocalMediaStore(rootDir, publicPath = '/uploads') {
+  return {
+    type: 'local',
+    async save(file) {
+      const { id, originalName, files } = await prepareUpload(file);
+      const dir = path.join(rootDir, id);
+      await fs.promises.mkdir(dir, { recursive: true });
+      await Promise.all(files.map(f => fs.promises.writeFile(path.join(dir, f.name), f.buffer)));
+      return describe(publicPath, id, originalName);
+    }
+  };
+}
+
+// Firebase Storage store; objects are public so the URLs do not expire
+function createCloudMediaStore(bucket, folder = 'property-images') {
+  return {
+    type: 'cloud',
+    async save(file) {
+      const { id, originalName, files } = await prepareUpload(file);
+      await Promise.all(files.map(async f => {
+        const ref = bucket.file(`${folder}/${id}/${f.name}`);
+        await ref.save(f.buffer, {
+          metadata: { contentType: f.contentType, cacheControl: 'public, max-age=31536000, immutable' }
+        });
+        await ref.makePublic();
+      }));
+      return describe(`https://storage.googleapis.com/${bucket.name}/${folder}`, id, originalName);
+    }
+  };
+}
+
+module.exports = {
+  createLocalMediaStore,
+  createCloudMediaStore,
+  createVariants
+};
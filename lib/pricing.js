@@ -0,0 +1,135 @@
+// ============================================
+// PRICING UNITS (shared by server.js and script.js)
+// ============================================
+// A pricing unit carries numeric terms; everything shown in the sample computation
+// is derived from them:
+//   { title, type, floorArea, totalPrice, reservationFee, downpaymentPercent,
+//     downpaymentMonths, monthlyDownpayment, bankFinancedPercent, items }
+// monthlyDownpayment is an optional quoted figure (developer promos rarely match the
+// straight division); items holds any extra free-text notes.
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else root.ListingPricing = factory();
+})(typeof self !== 'undefined' ? self : this, function () {
+  const NUMERIC_FIELDS = [
+    'floorArea',
+    'totalPrice',
+    'reservationFee',
+    'downpaymentPercent',
+    'downpaymentMonths',
+    'monthlyDownpayment',
+    'bankFinancedPercent'
+  ];
+
+  // "₱4,381,104" / "4381104.50" -> number; null when there is no number in the text
+  function parseAmount(text) {
+    if (typeof text === 'number') return Number.isFinite(text) ? text : null;
+    if (typeof text !== 'string') return null;
+    const match = text.replace(/,/g, '').match(/-?\d+(\.\d+)?/);
+    return match ? Number(match[0]) : null;
+  }
+
+  // Recognized legacy lines, e.g. "15% Downpayment payable in 60 months: ₱8,000/month"
+  const LEGACY_LINES = [
+    { pattern: /total selling price\s*:?\s*₱?\s*([\d,.]+)/i, apply: (u, m) => { u.totalPrice = parseAmount(m[1]); } },
+    { pattern: /reservation fee\s*:?\s*₱?\s*([\d,.]+)/i, apply: (u, m) => { u.reservationFee = parseAmount(m[1]); } },
+    {
+      pattern: /([\d.]+)\s*%\s*down\s*payment(?:\s*payable\s*in\s*(\d+)\s*months?)?(?:\s*:?\s*₱?\s*([\d,.]+)\s*\/\s*mo(?:nth)?)?/i,
+      apply: (u, m) => {
+        u.downpaymentPercent = parseAmount(m[1]);
+        if (m[2]) u.downpaymentMonths = parseAmount(m[2]);
+        if (m[3]) u.monthlyDownpayment = parseAmount(m[3]);
+      }
+    },
+    { pattern: /([\d.]+)\s*%\s*balance.*bank\s*financing/i, apply: (u, m) => { u.bankFinancedPercent = parseAmount(m[1]); } }
+  ];
+
+  // Convert a legacy { title, type, items: [strings] } unit into numeric fields.
+  // Lines that are not recognized stay in items; already-structured units pass through.
+  function migratePricingUnit(unit) {
+    if (!unit || typeof unit !== 'object') return unit;
+    const migrated = { ...unit };
+    NUMERIC_FIELDS.forEach(field => {
+      migrated[field] = migrated[field] === undefined || migrated[field] === '' ? null : migrated[field];
+    });
+
+    const notes = [];
+    (Array.isArray(unit.items) ? unit.items : []).forEach(line => {
+      const text = String(line);
+      const rule = LEGACY_LINES.find(r => r.pattern.test(text));
+      if (rule) rule.apply(migrated, text.match(rule.pattern));
+      else notes.push(text);
+    });
+    migrated.items = notes;
+
+    if (migrated.floorArea == null && typeof unit.title === 'string') {
+      const area = unit.title.match(/([\d.]+)\s*sq\.?\s*m/i);
+      if (area) migrated.floorArea = parseAmount(area[1]);
+    }
+    return migrated;
+  }
+
+  // Derived figures for the sample computation table; missing inputs give null
+  function computePricing(unit) {
+    const price = unit.totalPrice;
+    const hasPrice = typeof price === 'number' && price > 0;
+    const dpPercent = typeof unit.downpaymentPercent === 'number' ? unit.downpaymentPercent : null;
+    const reservation = unit.reservationFee || 0;
+
+    const downpaymentAmount = hasPrice && dpPercent != null ? price * dpPercent / 100 : null;
+    const netDownpayment = downpaymentAmount != null ? Math.max(0, downpaymentAmount - reservation) : null;
+    const computedMonthly = netDownpayment != null && unit.downpaymentMonths > 0
+      ? netDownpayment / unit.downpaymentMonths
+      : null;
+    const monthlyIsQuoted = typeof unit.monthlyDownpayment === 'number';
+    const balancePercent = typeof unit.bankFinancedPercent === 'number'
+      ? unit.bankFinancedPercent
+      : (dpPercent != null ? 100 - dpPercent : null);
+
+    return {
+      pricePerSqm: hasPrice && unit.floorArea > 0 ? price / unit.floorArea : null,
+      downpaymentAmount,
+      netDownpayment,
+      monthlyDownpayment: monthlyIsQuoted ? unit.monthlyDownpayment : computedMonthly,
+      monthlyIsQuoted,
+      balancePercent,
+      balanceAmount: hasPrice && balancePercent != null ? price * balancePercent / 100 : null
+    };
+  }
+
+  // Level-payment amortization of a bank loan. annualRatePercent is the nominal yearly
+  // rate, compounded monthly. Returns the monthly payment and a month-by-month schedule.
+  function amortize(principal, annualRatePercent, months) {
+    if (!(principal > 0) || !(months > 0)) return { monthlyPayment: 0, totalInterest: 0, totalPaid: 0, schedule: [] };
+    const rate = (annualRatePercent || 0) / 100 / 12;
+    const monthlyPayment = rate === 0
+      ? principal / months
+      : principal * rate / (1 - Math.pow(1 + rate, -months));
+
+    const schedule = [];
+    let balance = principal;
+    let totalInterest = 0;
+    for (let month = 1; month <= months; month++) {
+      const interest = balance * rate;
+      // The final payment absorbs rounding drift so the loan closes at exactly zero
+      const principalPaid = month === months ? balance : monthlyPayment - interest;
+      balance = Math.max(0, balance - principalPaid);
+      totalInterest += interest;
+      schedule.push({ month, payment: principalPaid + interest, principal: principalPaid, interest, balance });
+    }
+    return { monthlyPayment, totalInterest, totalPaid: principal + totalInterest, schedule };
+  }
+
+  function scheduleToCsv(schedule) {
+    const rows = [['Month', 'Payment', 'Principal', 'Interest', 'Balance']];
+    schedule.forEach(r => rows.push([r.month, r.payment.toFixed(2), r.principal.toFixed(2), r.interest.toFixed(2), r.balance.toFixed(2)]));
+    return rows.map(r => r.join(',')).join('\n');
+  }
+
+  function formatPeso(amount) {
+    if (typeof amount !== 'number' || !Number.isFinite(amount)) return '—';
+    return '₱' + Math.round(amount).toLocaleString('en-US');
+  }
+
+  return { NUMERIC_FIELDS, parseAmount, migratePricingUnit, computePricing, amortize, scheduleToCsv, formatPeso };
+});
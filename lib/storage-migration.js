@@ -0,0 +1,188 @@
+const fs = require('fs');
+const path = require('path');
+
+// ============================================
+// STORAGE MIGRATION (listings between backends)
+// ============================================
+// Copies every listing, trashed ones included, from one storage adapter to another. Listings
+// are matched by id, so a second run only copies what changed: a listing missing from the
+// target is created, one with an older version there, or the same version with different
+// contents, is updated; an identical copy or a newer version is left alone. Images held
+// as data URLs, and local files when the target media
+// store is the cloud bucket, are saved to the target's media store and the listing points
+// at the new URL; other URLs are kept. With dryRun nothing is written or uploaded.
+// Used by scripts/migrate-storage.js and POST /api/storage/migrate.
+
+const DATA_URL = /^data:([^;,]+)(;base64)?,(.*)$/s;
+const MIME_TYPES = {
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.webp': 'image/webp',
+  '.gif': 'image/gif',
+  '.avif': 'image/avif',
+  '.heic': 'image/heic'
+};
+
+function isUrl(src) {
+  return /^[a-z][a-z0-9+.-]*:/i.test(src) || src.startsWith('//');
+}
+
+// A local image reference ("/uploads/<id>/web.jpg" or a file in the project root such as
+// "auria.jpg") -> its path on disk, or null. Uploads resolve to their original file, so the
+// target store builds its own variants from full quality.
+function localImagePath(src, { rootDir, uploadsDir }) {
+  if (isUrl(src)) return null;
+  let clean;
+  try {
+    clean = decodeURI(src.split(/[?#]/)[0]);
+  } catch (err) {
+    return null;
+  }
+  const inUploads = clean.startsWith('/uploads/');
+  const base = path.resolve(inUploads ? uploadsDir : rootDir);
+  const file = path.resolve(base, clean.replace(inUploads ? /^\/uploads\// : /^\/+/, ''));
+  if (!file.startsWith(base + path.sep) || !fs.existsSync(file)) return null;
+  if (inUploads) {
+    const dir = path.dirname(file);
+    const original = fs.readdirSync(dir).find(name => name.startsWith('original.'));
+    if (original) return path.join(dir, original);
+  }
+  return file;
+}
+
+// The image as a multer-style file for mediaStore.save, or null when it stays as it is
+function imageToMove(src, mediaStore, options) {
+  const dataUrl = src.match(DATA_URL);
+  if (dataUrl) {
+    const [, mimetype, base64, data] = dataUrl;
+    return {
+      buffer: base64 ? Buffer.from(data, 'base64') : Buffer.from(decodeURIComponent(data)),
+      mimetype,
+      originalname: `image${Object.keys(MIME_TYPES).find(ext => MIME_TYPES[ext] === mimetype) || ''}`
+    };
+  }
+  if (mediaStore.type !== 'cloud') return null;
+  const file = localImagePath(src, options);
+  if (!file) return null;
+  return {
+    buffer: fs.readFileSync(file),
+    mimetype: MIME_TYPES[path.extname(file).toLowerCase()] || 'application/octet-stream',
+    originalname: path.basename(file)
+  };
+}
+
+function listingImages(listing) {
+  return [listing.mainImage].concat(listing.gallery || []).filter(src => typeof src === 'string' && src);
+}
+
+// JSON with sorted keys, so key order alone does not count as a difference
+function canonicalJson(value) {
+  if (Array.isArray(value)) return `[${value.map(canonicalJson).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(k => `${JSON.stringify(k)}:${canonicalJson(value[k])}`).join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+// Whether target already holds source's contents. An image the migration moves gets a new
+// URL in the target, so such images only need to be in the same place, with the same caption.
+function sameContents(source, target, mediaStore, options) {
+  const sourceImages = listingImages(source);
+  const targetImages = listingImages(target);
+  const movable = src => DATA_URL.test(src) || (mediaStore.type === 'cloud' && Boolean(localImagePath(src, options)));
+  if (sourceImages.length !== targetImages.length ||
+    sourceImages.some((src, i) => src !== targetImages[i] && !movable(src))) return false;
+  const captions = (listing, images) => images.map(src => (listing.captions || {})[src] || '');
+  const fields = ({ id, version, mainImage, gallery, captions: _captions, ...rest }) => rest;
+  return canonicalJson(captions(source, sourceImages)) === canonicalJson(captions(target, targetImages)) &&
+    canonicalJson(fields(source)) === canonicalJson(fields(target));
+}
+
+// options: { from, to, mediaStore, rootDir, uploadsDir, dryRun, log }
+async function migrateListings(options) {
+  const { from, to, mediaStore, dryRun = false, log = () => {} } = options;
+  const report = {
+    from: from.type,
+    to: to.type,
+    dryRun,
+    total: 0,
+    created: 0,
+    updated: 0,
+    unchanged: 0,
+    skipped: 0,
+    failed: 0,
+    images: { moved: 0, failed: 0 },
+    listings: []
+  };
+  const existing = new Map((await to.list('listings')).map(l => [String(l.id), l]));
+  // The same image used by several listings is moved once
+  const moved = new Map();
+
+  for (const source of await from.list('listings')) {
+    const id = String(source.id);
+    const target = existing.get(id);
+    const version = source.version || 1;
+    const entry = { id, title: source.title || '', action: 'create', images: 0 };
+    report.total++;
+    report.listings.push(entry);
+
+    if (target) {
+      const targetVersion = target.version || 1;
+      const unchanged = targetVersion === version && sameContents(source, target, mediaStore, options);
+      if (targetVersion > version || unchanged) {
+        entry.action = unchanged ? 'unchanged' : 'skipped';
+        report[entry.action]++;
+        continue;
+      }
+      entry.action = 'update';
+    }
+
+    try {
+      const urls = {};
+      for (const src of listingImages(source)) {
+        if (moved.has(src)) {
+          urls[src] = moved.get(src);
+          continue;
+        }
+        const file = imageToMove(src, mediaStore, options);
+        if (!file) continue;
+        if (!dryRun) {
+          try {
+            urls[src] = (await mediaStore.save(file)).url;
+          } catch (err) {
+            report.images.failed++;
+            throw new Error(`Image ${src.slice(0, 60)} could not be moved: ${err.message}`);
+          }
+        }
+        moved.set(src, urls[src] || src);
+        entry.images++;
+        report.images.moved++;
+      }
+
+      const swap = src => urls[src] || src;
+      const listing = {
+        ...source,
+        id,
+        version,
+        mainImage: source.mainImage && swap(source.mainImage),
+        gallery: (source.gallery || []).map(swap)
+      };
+      if (source.captions) {
+        listing.captions = {};
+        Object.entries(source.captions).forEach(([src, caption]) => { listing.captions[swap(src)] = caption; });
+      }
+      if (!dryRun) await to.put('listings', listing);
+      report[entry.action === 'create' ? 'created' : 'updated']++;
+      log(`${dryRun ? 'would ' : ''}${entry.action} ${id} ${entry.title} (${entry.images} images moved)`);
+    } catch (err) {
+      entry.action = 'failed';
+      entry.error = err.message;
+      report.failed++;
+      log(`failed ${id} ${entry.title}: ${err.message}`);
+    }
+  }
+  return report;
+}
+
+module.exports = { migrateListings };
@@ -0,0 +1,309 @@
+const fs = require('fs');
+const path = require('path');
+
+// ============================================
+// STORAGE ADAPTERS (listings, leads, audit log)
+// ============================================
+// Every adapter keeps documents (plain objects with a string id) in named collections:
+//   list(collection, where?)  -> [doc]; where is an optional { field: value } equality filter
+//   put(collection, doc)      -> inserts the document or replaces the one with its id
+//   remove(collection, id)
+//   close()
+// Documents come back in no particular order. Failed reads and writes reject, so callers
+// update their in-memory caches only once a write has resolved. A JSON file that cannot be
+// parsed rejects with err.code 'STORAGE_CORRUPT'; a SQLite file that is not a database
+// throws it when the adapter is created. The JSON adapter also has listBackups() and
+// restoreBackup(name); the others leave backups to their database. Every adapter must pass
+// test/storage-contract.js.
+
+function matches(doc, where) {
+  return Object.entries(where || {}).every(([field, value]) => doc[field] === value);
+}
+
+// Raised when a JSON file exists but cannot be read back as a list of documents
+function corruptFileError(file, reason) {
+  const err = new Error(`${file} is corrupt: ${reason}`);
+  err.code = 'STORAGE_CORRUPT';
+  err.file = file;
+  return err;
+}
+
+// Write to a temp file in the same directory, flush it, then rename it over the target,
+// so a crash leaves either the old file or the new one, never half of each
+async function writeFileAtomic(file, text) {
+  const tmp = `${file}.${process.pid}.${Date.now()}.tmp`;
+  try {
+    const handle = await fs.promises.open(tmp, 'w');
+    try {
+      await handle.writeFile(text, 'utf8');
+      await handle.sync();
+    } finally {
+      await handle.close();
+    }
+    await fs.promises.rename(tmp, file);
+  } catch (err) {
+    await fs.promises.unlink(tmp).catch(() => {});
+    throw err;
+  }
+}
+
+const BACKUP_NAME = /^([a-zA-Z0-9_-]+)-(\d{4}-\d\d-\d\dT\d\d-\d\d-\d\d-\d{3}Z)\.json$/;
+
+// One JSON file per collection: files[collection], or <dir>/<collection>.json. Each file is
+// read once and kept in memory; writes to a collection run one at a time and replace the
+// whole file atomically. Before a write, the current file is copied to
+// <backups.dir>/<collection>-<timestamp>.json (at most once per backups.intervalMs per
+// collection, always on the first write after startup); the newest backups.keep copies
+// per collection are kept.
+function createJsonFileStorage(dir, files = {}, backups = {}) {
+  const backupDir = backups.dir || path.join(dir, 'backups');
+  const keepBackups = backups.keep || 20;
+  const backupIntervalMs = backups.intervalMs != null ? backups.intervalMs : 10 * 60 * 1000;
+  const cache = new Map();
+  const queues = new Map();
+  const lastBackupAt = new Map();
+  const fileFor = collection => files[collection] || path.join(dir, `${collection}.json`);
+
+  function parseDocs(file, text) {
+    let docs;
+    try {
+      docs = JSON.parse(text);
+    } catch (err) {
+      throw corruptFileError(file, err.message);
+    }
+    if (!Array.isArray(docs)) throw corruptFileError(file, 'it does not hold a list');
+    return docs;
+  }
+
+  async function read(collection) {
+    if (!cache.has(collection)) {
+      const file = fileFor(collection);
+      let text;
+      try {
+        text = await fs.promises.readFile(file, 'utf8');
+      } catch (err) {
+        if (err.code !== 'ENOENT') throw err;
+        text = null;
+      }
+      cache.set(collection, text === null ? [] : parseDocs(file, text));
+    }
+    return cache.get(collection);
+  }
+
+  // Tasks on one collection run in order; a failed task does not block the next
+  function enqueue(collection, task) {
+    const run = (queues.get(collection) || Promise.resolve()).then(task);
+    queues.set(collection, run.catch(() => {}));
+    return run;
+  }
+
+  async function listBackups() {
+    let names;
+    try {
+      names = await fs.promises.readdir(backupDir);
+    } catch (err) {
+      if (err.code === 'ENOENT') return [];
+      throw err;
+    }
+    const entries = await Promise.all(names.map(async name => {
+      const match = name.match(BACKUP_NAME);
+      if (!match) return null;
+      const stat = await fs.promises.stat(path.join(backupDir, name));
+      const [date, time] = match[2].split('T');
+      const createdAt = `${date}T${time.replace(/^(\d\d)-(\d\d)-(\d\d)-/, '$1:$2:$3.')}`;
+      return { name, collection: match[1], createdAt, size: stat.size };
+    }));
+    return entries.filter(Boolean).sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+
+  async function backup(collection, force) {
+    const file = fileFor(collection);
+    const last = lastBackupAt.get(collection);
+    if (!force && last && Date.now() - last < backupIntervalMs) return;
+    if (!fs.existsSync(file)) return;
+    await fs.promises.mkdir(backupDir, { recursive: true });
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+    await fs.promises.copyFile(file, path.join(backupDir, `${collection}-${stamp}.json`));
+    lastBackupAt.set(collection, Date.now());
+
+    const old = (await listBackups()).filter(b => b.collection === collection).slice(keepBackups);
+    await Promise.all(old.map(b => fs.promises.unlink(path.join(backupDir, b.name)).catch(() => {})));
+  }
+
+  async function write(collection, docs) {
+    const file = fileFor(collection);
+    await fs.promises.mkdir(path.dirname(file), { recursive: true });
+    await backup(collection, false);
+    await writeFileAtomic(file, JSON.stringify(docs, null, 2));
+    cache.set(collection, docs);
+  }
+
+  return {
+    type: 'json',
+    async list(collection, where) {
+      return (await read(collection)).filter(doc => matches(doc, where));
+    },
+    put(collection, doc) {
+      return enqueue(collection, async () => {
+        const docs = await read(collection);
+        const idx = docs.findIndex(d => d.id === doc.id);
+        await write(collection, idx === -1 ? [doc].concat(docs) : docs.map((d, i) => (i === idx ? doc : d)));
+      });
+    },
+    remove(collection, id) {
+      return enqueue(collection, async () => {
+        await write(collection, (await read(collection)).filter(d => d.id !== id));
+      });
+    },
+    listBackups,
+    // Replace a collection with a backup's contents; the current file is backed up first
+    async restoreBackup(name) {
+      const match = String(name).match(BACKUP_NAME);
+      const backupFile = match && path.join(backupDir, match[0]);
+      if (!backupFile || !fs.existsSync(backupFile)) {
+        const err = new Error('Backup not found');
+        err.code = 'NOT_FOUND';
+        throw err;
+      }
+      const collection = match[1];
+      const text = await fs.promises.readFile(backupFile, 'utf8');
+      const docs = parseDocs(backupFile, text);
+      await enqueue(collection, async () => {
+        const file = fileFor(collection);
+        await fs.promises.mkdir(path.dirname(file), { recursive: true });
+        await backup(collection, true);
+        await writeFileAtomic(file, text);
+        cache.set(collection, docs);
+      });
+      return { collection, count: docs.length };
+    },
+    async close() {
+      await Promise.all(queues.values());
+    }
+  };
+}
+
+// A single table of JSON documents keyed by (collection, id). better-sqlite3 is an
+// optional dependency, loaded only when this backend is selected.
+function createSqliteStorage(file) {
+  const Database = require('better-sqlite3');
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const sqlite = new Database(file);
+  try {
+    sqlite.pragma('journal_mode = WAL');
+    sqlite.exec(`CREATE TABLE IF NOT EXISTS documents (
+      collection TEXT NOT NULL,
+      id TEXT NOT NULL,
+      data TEXT NOT NULL,
+      PRIMARY KEY (collection, id)
+    )`);
+  } catch (err) {
+    sqlite.close();
+    if (err.code === 'SQLITE_NOTADB' || err.code === 'SQLITE_CORRUPT') throw corruptFileError(file, err.message);
+    throw err;
+  }
+  const putStatement = sqlite.prepare(`INSERT INTO documents (collection, id, data) VALUES (?, ?, ?)
+    ON CONFLICT (collection, id) DO UPDATE SET data = excluded.data`);
+  const removeStatement = sqlite.prepare('DELETE FROM documents WHERE collection = ? AND id = ?');
+
+  return {
+    type: 'sqlite',
+    async list(collection, where = {}) {
+      const fields = Object.keys(where);
+      const sql = 'SELECT data FROM documents WHERE collection = ?' +
+        fields.map(() => ' AND json_extract(data, ?) = ?').join('');
+      const params = [collection];
+      fields.forEach(field => params.push(`$.${field}`, where[field]));
+      return sqlite.prepare(sql).all(...params).map(row => JSON.parse(row.data));
+    },
+    async put(collection, doc) {
+      putStatement.run(collection, String(doc.id), JSON.stringify(doc));
+    },
+    async remove(collection, id) {
+      removeStatement.run(collection, String(id));
+    },
+    async close() {
+      sqlite.close();
+    }
+  };
+}
+
+// Firestore: one collection per collection, the document id as the Firestore doc id.
+// Documents are replaced, not merged, so removed fields do not linger.
+function createFirestoreStorage(db) {
+  return {
+    type: 'firestore',
+    async list(collection, where = {}) {
+      let query = db.collection(collection);
+      Object.entries(where).forEach(([field, value]) => { query = query.where(field, '==', value); });
+      const snapshot = await query.get();
+      const docs = [];
+      snapshot.forEach(doc => docs.push({ id: doc.id, ...doc.data() }));
+      return docs;
+    },
+    async put(collection, doc) {
+      await db.collection(collection).doc(String(doc.id)).set(doc);
+    },
+    async remove(collection, id) {
+      await db.collection(collection).doc(String(id)).delete();
+    },
+    async close() {}
+  };
+}
+
+const BACKENDS = ['json', 'sqlite', 'firestore'];
+
+// config: { backend, dataDir, files, backups, sqliteFile, db }; backend is one of BACKENDS
+function createStorage(config) {
+  switch (config.backend) {
+    case 'json':
+      return createJsonFileStorage(config.dataDir, config.files, config.backups);
+    case 'sqlite':
+      return createSqliteStorage(config.sqliteFile || path.join(config.dataDir, 'store.db'));
+    case 'firestore':
+      if (!config.db) throw new Error('The firestore storage backend needs Firebase credentials');
+      return createFirestoreStorage(config.db);
+    default:
+      throw new Error(`Unknown storage backend "${config.backend}" (expected ${BACKENDS.join(', ')})`);
+  }
+}
+
+// Where this project keeps its data: everything in rootDir/data, which is not served.
+// Shared by server.js and scripts/migrate-storage.js.
+function projectStorageConfig(rootDir, backend, db) {
+  const dataDir = path.join(rootDir, 'data');
+  return {
+    backend,
+    db,
+    dataDir,
+    files: { listingRevisions: path.join(dataDir, 'audit.json') },
+    backups: {
+      dir: path.join(dataDir, 'backups'),
+      keep: Number(process.env.BACKUP_KEEP) || 20,
+      intervalMs: (Number(process.env.BACKUP_INTERVAL_MINUTES) || 10) * 60 * 1000
+    },
+    sqliteFile: process.env.SQLITE_FILE || path.join(dataDir, 'store.db')
+  };
+}
+
+// Listings used to be kept in rootDir/listings.json, inside the statically served folder.
+// When data/listings.json does not exist yet, the old file is copied there; the old copy
+// is left in place for the owner to delete. Returns true when it copied.
+function adoptLegacyListingsFile(rootDir) {
+  const legacy = path.join(rootDir, 'listings.json');
+  const target = path.join(rootDir, 'data', 'listings.json');
+  if (fs.existsSync(target) || !fs.existsSync(legacy)) return false;
+  fs.mkdirSync(path.dirname(target), { recursive: true });
+  fs.copyFileSync(legacy, target);
+  return true;
+}
+
+module.exports = {
+  BACKENDS,
+  createStorage,
+  projectStorageConfig,
+  adoptLegacyListingsFile,
+  createJsonFileStorage,
+  createSqliteStorage,
+  createFirestoreStorage
+};
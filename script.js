@@ -3,63 +3,14 @@
 // ============================================
 let socket = null;
 let isConnected = false;
-let updateQueue = []; // Queue for offline updates
+let updateQueue = []; // Listing writes not yet acknowledged by the server (see OFFLINE QUEUE)
 let isSyncing = false;
-
-// Load queued updates from localStorage
-function loadUpdateQueue() {
-    const stored = localStorage.getItem('updateQueue');
-    updateQueue = stored ? JSON.parse(stored) : [];
-}
-
-// Save update queue to localStorage
-function saveUpdateQueue() {
-    localStorage.setItem('updateQueue', JSON.stringify(updateQueue));
-}
-
-// Add update to queue (for offline scenarios)
-function queueUpdate(action, data) {
-    const update = {
-        id: Date.now() + Math.random(),
-        action: action,
-        data: data,
-        timestamp: new Date().toISOString()
-    };
-    updateQueue.push(update);
-    saveUpdateQueue();
-    console.log(`Update queued (offline): ${action}`, data);
-}
-
-// Process queued updates when connection restored
-async function processUpdateQueue() {
-    if (!isConnected || updateQueue.length === 0 || isSyncing) return;
-    
-    isSyncing = true;
-    console.log(`Processing ${updateQueue.length} queued updates...`);
-    
-    const toProcess = [...updateQueue];
-    
-    for (const update of toProcess) {
-        try {
-            const idx = updateQueue.indexOf(update);
-            
-            if (update.action === 'listing-added' || update.action === 'listing-updated') {
-                socket.emit(update.action, update.data);
-            } else if (update.action === 'listing-deleted') {
-                socket.emit(update.action, update.data);
-            }
-            
-            // Remove from queue after successful send
-            if (idx !== -1) updateQueue.splice(idx, 1);
-        } catch (err) {
-            console.error('Error processing queued update:', err);
-        }
-    }
-    
-    saveUpdateQueue();
-    isSyncing = false;
-    showNotification(`${toProcess.length} offline changes synced to cloud`);
-}
+// The server's listings as of change listingSeq of listingEpoch (see LISTING CHANGES in
+// server.js); listings is this plus our unsent writes
+let syncedListings = [];
+let listingEpoch = null;
+let listingSeq = null;
+let listingsResumed = false;
 
 function initializeWebSocket() {
     // Load any queued updates from previous sessions
@@ -79,16 +30,20 @@ function initializeWebSocket() {
         isConnected = true;
         updateConnectionStatus('connected');
         
-        // Sync listings with server on connect
-        if (socket) socket.emit('sync-listings', listings);
+        // Catch up on listing changes missed while away
+        resumeListings();
+        // Reclaim the edit lock of a listing left open in the edit form
+        if (editingListingId) sendEditLock('edit-start');
         
         // Process any queued updates
-        await processUpdateQueue();
+        retryQueuedNow();
     });
 
     socket.on('disconnect', () => {
         console.log('⚠️  Disconnected from real-time server');
         isConnected = false;
+        listingsResumed = false;
+        setAdminPresence({ admins: [], locks: [] });
         updateConnectionStatus('disconnected');
     });
 
@@ -96,39 +51,64 @@ function initializeWebSocket() {
         console.log('🔄 Reconnected to server');
         isConnected = true;
         updateConnectionStatus('connected');
-        processUpdateQueue();
+        retryQueuedNow();
     });
 
-    socket.on('update-listings', (data) => {
-        console.log('📨 Received update:', data.action, data.listing?.title || data.listingId);
-        
-        if (data.action === 'added') {
-            // Add new listing if not already present
-            if (!listings.find(l => l.id === data.listing.id)) {
-                listings.unshift(data.listing);
-                showNotification(`🏠 New listing added: ${data.listing.title}`);
-            }
-        } else if (data.action === 'deleted') {
-            // Remove listing
-            listings = listings.filter(l => l.id !== data.listingId);
-            showNotification('🗑️  A listing was removed');
-        } else if (data.action === 'updated') {
-            // Update listing
-            const idx = listings.findIndex(l => l.id === data.listing.id);
-            if (idx !== -1) {
-                listings[idx] = data.listing;
-                showNotification(`✏️  Listing updated: ${data.listing.title}`);
-            }
+    socket.on('listing-changes', ({ epoch, since, seq, changes, resumed }) => {
+        // Live changes sent before our resume was answered are part of its answer
+        if (!resumed && !listingsResumed) return;
+        if (epoch !== listingEpoch) return resumeListings(true);
+        // A live batch that does not follow the last one we applied: fetch what we missed
+        if (!resumed && since !== listingSeq) return resumeListings(false);
+        listingsResumed = true;
+        const fresh = changes.filter(c => c.seq > listingSeq);
+        console.log('📨 Received listing changes:', fresh.length);
+        for (const change of fresh) {
+            // A patch for a listing we do not have: start over from a snapshot
+            if (!applyListingChange(change, !resumed)) return resumeListings(true);
+            listingSeq = change.seq;
         }
+        listingSeq = seq;
+        if (fresh.some(c => c.action === 'deleted' || c.action === 'restored')) refreshTrashIfOpen();
         
         // Refresh the UI
+        listings = withUnsentWrites(syncedListings);
         renderListings();
+        cacheListingsOffline(syncedListings);
     });
 
-    socket.on('sync-all-listings', (syncedListings) => {
-        console.log('☁️  Synced listings from server:', syncedListings.length);
-        listings = syncedListings;
+    socket.on('listings-snapshot', (snapshot) => {
+        console.log('☁️  Synced listings from server:', snapshot.listings.length);
+        listingEpoch = snapshot.epoch;
+        listingSeq = snapshot.seq;
+        listingsResumed = true;
+        hasServerListings = true;
+        syncedListings = snapshot.listings;
+        listings = withUnsentWrites(syncedListings);
         renderListings();
+        openPendingListingRoute(true);
+        cacheListingsOffline(syncedListings);
+    });
+
+    // Admin-only: new showing requests from visitors and inbox changes by other admins
+    socket.on('lead-created', (lead) => {
+        console.log('📩 New lead:', lead.id);
+        showNotification(`📩 New showing request from ${lead.name} for ${lead.listingTitle}`);
+        if (leadsModal.getAttribute('aria-hidden') !== 'false') unseenLeadCount++;
+        renderNewLeadsBadge();
+        upsertAdminLead(lead);
+    });
+
+    socket.on('lead-updated', (lead) => upsertAdminLead(lead));
+
+    // Admin-only: who is online and editing what (see ADMIN PRESENCE & EDIT LOCKS)
+    socket.on('admin-presence', (presence) => setAdminPresence(presence));
+
+    socket.on('edit-lock-lost', ({ listingId, username }) => {
+        if (listingId !== editingListingId) return;
+        editLockLostTo = username;
+        showNotification(`✋ ${username} took over editing ${listingTitle(listingId)}`, 'error');
+        renderEditLock();
     });
 
     socket.on('users-count', (count) => {
@@ -146,6 +126,76 @@ function initializeWebSocket() {
     });
 }
 
+// Ask for the changes since the last one applied; the server answers with those or a
+// full snapshot. fromScratch always gets a snapshot.
+function resumeListings(fromScratch) {
+    listingsResumed = false;
+    if (fromScratch) listingSeq = null;
+    socket.emit('listings-resume', { epoch: listingEpoch, seq: listingSeq });
+}
+
+// Apply one change to syncedListings; false for a patch to a listing we do not have.
+// Notifications are compared with what is on screen, so our own writes stay quiet.
+function applyListingChange(change, notify) {
+    const idx = syncedListings.findIndex(l => l.id === change.id);
+    const shown = listings.some(l => l.id === change.id);
+    if (change.op === 'remove') {
+        if (idx !== -1) syncedListings.splice(idx, 1);
+        if (notify && shown) showNotification('🗑️  A listing was removed');
+    } else if (change.op === 'add') {
+        if (idx === -1) syncedListings.unshift(change.listing);
+        else syncedListings[idx] = change.listing;
+        if (notify && !shown) {
+            const label = { added: '🏠 New listing added', restored: '♻️  Listing restored' }[change.action] || '🏠 New listing';
+            showNotification(`${label}: ${change.listing.title}`);
+        }
+    } else {
+        if (idx === -1) return false;
+        const patched = { ...syncedListings[idx], ...change.set };
+        (change.unset || []).forEach(field => { delete patched[field]; });
+        syncedListings[idx] = patched;
+        if (notify) showNotification(`✏️  Listing updated: ${patched.title}`);
+    }
+    return true;
+}
+
+// True when a is an older revision of the same listing than b
+function isOlderVersion(a, b) {
+    return Boolean(a && b && a.version && b.version && a.version < b.version);
+}
+
+// The server's saved copy of our own write (it carries the new version). Its change
+// broadcast may come after the ack, so syncedListings takes it now.
+function applyServerListing(saved) {
+    const synced = syncedListings.findIndex(l => l.id === saved.id);
+    if (synced === -1) syncedListings.unshift(saved);
+    else if (!isOlderVersion(saved, syncedListings[synced])) syncedListings[synced] = saved;
+    const idx = listings.findIndex(l => l.id === saved.id);
+    if (idx === -1 || isOlderVersion(saved, listings[idx])) return;
+    listings[idx] = saved;
+    saveListings();
+    renderListings();
+}
+
+// The server's list with local edits that have not been acknowledged yet (queued offline
+// or in flight) laid over it, so a sync does not silently undo them. Their acks, or the
+// conflict prompt, settle them. Rejected writes are not applied.
+function withUnsentWrites(serverListings) {
+    const unsent = new Map();
+    const queuedDeletes = new Set();
+    updateQueue.filter(u => u.status !== 'rejected').forEach(u => {
+        if (u.action === 'listing-deleted') queuedDeletes.add(u.data);
+        else unsent.set(u.data.id, u.data);
+    });
+    const merged = serverListings
+        .filter(l => !queuedDeletes.has(l.id))
+        .map(l => unsent.get(l.id) || l);
+    unsent.forEach((listing, id) => {
+        if (!merged.some(l => l.id === id)) merged.unshift(listing);
+    });
+    return merged;
+}
+
 function updateConnectionStatus(status) {
     const indicator = document.getElementById('statusIndicator');
     const text = document.getElementById('statusText');
@@ -162,12 +212,13 @@ function updateConnectionStatus(status) {
         indicator.classList.add('error');
         text.textContent = 'Connection error';
     }
+    renderPendingChanges();
 }
 
-function showNotification(message) {
-    // Create a simple notification
+function showNotification(message, type) {
+    // Create a simple notification ('error' type renders in red)
     const notif = document.createElement('div');
-    notif.className = 'notification';
+    notif.className = type ? `notification ${type}` : 'notification';
     notif.textContent = message;
     document.body.appendChild(notif);
     
@@ -180,24 +231,503 @@ function showNotification(message) {
 
 // Initialize WebSocket when page loads
 window.addEventListener('load', () => {
+    registerServiceWorker();
+    setupListingFilters();
     initializeWebSocket();
     renderListings(); // Initial render to show/hide admin controls
     setupAdminControls();
 });
 
+// ============================================
+// OFFLINE BROWSING (service worker)
+// ============================================
+// sw.js caches the app shell and images. Each sync hands it the public listings and the
+// image URLs they show, which it stores for the next offline visit; at startup they are
+// shown until the server syncs. Only published and sold listings are cached, and never
+// from an admin session, whose copy may hold edits the server has not accepted yet.
+const OFFLINE_LISTINGS_URL = '/offline/listings.json';
+let hasServerListings = false;
+
+function registerServiceWorker() {
+    if (!('serviceWorker' in navigator)) return;
+    navigator.serviceWorker.register('/sw.js')
+        .catch(err => console.error('Service worker registration failed:', err));
+}
+
+function cacheListingsOffline(syncedListings) {
+    if (isAdmin || !('serviceWorker' in navigator)) return;
+    const publicListings = syncedListings.filter(l => ListingSchema.isPublicListing(l));
+    const images = new Set();
+    publicListings.forEach(l => [l.mainImage].concat(l.gallery || []).forEach(src => {
+        if (typeof src !== 'string' || !src || src.startsWith('data:')) return;
+        images.add(src);
+        images.add(thumbnailSrc(src));
+    }));
+    navigator.serviceWorker.ready.then(registration => {
+        if (registration.active) {
+            registration.active.postMessage({ type: 'cache-listings', listings: publicListings, images: Array.from(images) });
+        }
+    });
+}
+
+// Listings from the last visit, for visitors opening the site offline. Admin copies in
+// localStorage (see loadListings) take precedence.
+async function loadOfflineListings() {
+    if (!('caches' in window) || localStorage.getItem(STORAGE_KEY)) return;
+    try {
+        const cached = await caches.match(OFFLINE_LISTINGS_URL);
+        if (!cached) return;
+        const offlineListings = await cached.json();
+        if (hasServerListings) return;
+        console.log('📴 Showing listings cached for offline use:', offlineListings.length);
+        listings = offlineListings;
+        renderListings();
+        openPendingListingRoute(false);
+    } catch (err) {
+        console.error('Failed to load offline listings:', err);
+    }
+}
+
+// ============================================
+// OFFLINE QUEUE (admin listing writes)
+// ============================================
+// Every listing write goes through this queue, which is kept in localStorage. Items are
+// sent in order with an idempotency key and leave the queue only once the server
+// acknowledges them, so a lost packet or a failed save is retried instead of dropped.
+// Item: { key, action, data, base, timestamp, status, attempts, lastError, nextAttemptAt }
+//   status: 'pending' (waiting to be sent), 'sending', 'retrying' (failed, waiting for
+//   nextAttemptAt) or 'rejected' (refused by the server; kept for the admin to retry
+//   or discard in the pending changes panel)
+const ACK_TIMEOUT_MS = 10000;
+const MAX_RETRY_DELAY_MS = 60000;
+let retryTimer = null;
+
+function newQueueKey() {
+    return window.crypto && crypto.randomUUID ? crypto.randomUUID() : `${Date.now()}-${Math.random().toString(36).slice(2)}`;
+}
+
+// Load queued updates from an earlier session (items from before keys and statuses are
+// upgraded); they count as offline changes once synced
+function loadUpdateQueue() {
+    const stored = localStorage.getItem('updateQueue');
+    updateQueue = (stored ? JSON.parse(stored) : []).map(u => ({
+        ...u,
+        key: u.key || String(u.id),
+        status: u.status === 'rejected' ? 'rejected' : 'pending',
+        attempts: u.attempts || 0,
+        queuedOffline: true
+    }));
+    renderPendingChanges();
+}
+
+// Save update queue to localStorage
+function saveUpdateQueue() {
+    localStorage.setItem('updateQueue', JSON.stringify(updateQueue));
+    renderPendingChanges();
+}
+
+// Queue a listing write and send it when possible. base is the listing as it was before
+// the edit, used to pre-select fields if the update turns out to conflict.
+function queueUpdate(action, data, base) {
+    updateQueue.push({
+        key: newQueueKey(),
+        action: action,
+        data: data,
+        base: base || null,
+        timestamp: new Date().toISOString(),
+        queuedOffline: !isConnected,
+        status: 'pending',
+        attempts: 0
+    });
+    saveUpdateQueue();
+    if (!isConnected) console.log(`Update queued (offline): ${action}`, data);
+    processUpdateQueue();
+}
+
+function removeQueued(item) {
+    updateQueue = updateQueue.filter(u => u !== item);
+    saveUpdateQueue();
+}
+
+// Later edits of the same listing were made on top of the one the server just saved, from
+// the version it started from; move them onto the saved version so they do not conflict
+// with our own write
+function rebaseQueued(acked, saved) {
+    const startedFrom = acked.data && acked.data.version;
+    updateQueue.forEach(u => {
+        if (u.action !== 'listing-updated' || !u.data || u.data.id !== saved.id || u.data.version !== startedFrom) return;
+        u.data = { ...u.data, version: saved.version };
+        u.base = saved;
+    });
+    saveUpdateQueue();
+}
+
+// Exponential backoff with jitter: 1s, 2s, 4s ... up to a minute
+function retryDelay(attempts) {
+    return Math.min(MAX_RETRY_DELAY_MS, 1000 * Math.pow(2, attempts - 1)) + Math.random() * 1000;
+}
+
+function scheduleRetry(item) {
+    clearTimeout(retryTimer);
+    retryTimer = setTimeout(processUpdateQueue, Math.max(0, Date.parse(item.nextAttemptAt) - Date.now()));
+}
+
+// Send one item and wait for its ack -> 'done', 'retry' or 'rejected'
+function sendQueuedUpdate(item) {
+    item.status = 'sending';
+    item.attempts++;
+    saveUpdateQueue();
+    return new Promise(resolve => {
+        socket.timeout(ACK_TIMEOUT_MS).emit(item.action, item.data, { key: item.key }, (err, res) => {
+            if (err || !res || res.code === 'STORAGE_ERROR') {
+                item.status = 'retrying';
+                item.lastError = err ? 'No answer from the server' : (res && res.error) || 'No answer from the server';
+                item.nextAttemptAt = new Date(Date.now() + retryDelay(item.attempts)).toISOString();
+                saveUpdateQueue();
+                return resolve('retry');
+            }
+            if (res.ok) {
+                removeQueued(item);
+                if (res.listing) {
+                    rebaseQueued(item, res.listing);
+                    applyServerListing(res.listing);
+                }
+                if (item.action === 'listing-deleted') syncedListings = syncedListings.filter(l => l.id !== item.data);
+                return resolve('done');
+            }
+            if (res.code === 'CONFLICT') {
+                // The conflict prompt takes over; its choice is queued as a new write
+                removeQueued(item);
+                resolveConflict(item.data, res.current, item.base);
+                return resolve('done');
+            }
+            console.error(`Server rejected ${item.action}:`, res.error);
+            const details = res.errors ? `: ${ListingSchema.formatErrors(res.errors)}` : '';
+            item.status = 'rejected';
+            item.lastError = `${res.error || 'Change rejected by server'}${details}`;
+            saveUpdateQueue();
+            showNotification(`❌ ${item.lastError}`, 'error');
+            if (res.code === 'UNAUTHORIZED') checkAdminSession();
+            // Take the server's copy again; the rejected change waits in the pending panel
+            listings = withUnsentWrites(syncedListings);
+            renderListings();
+            resolve('rejected');
+        });
+    });
+}
+
+// Send queued writes in order, one at a time; rejected items are skipped and an item
+// waiting to be retried holds back the ones after it
+async function processUpdateQueue() {
+    if (!isConnected || isSyncing || !socket) return;
+    isSyncing = true;
+    let synced = 0;
+    try {
+        while (isConnected) {
+            const item = updateQueue.find(u => u.status !== 'rejected');
+            if (!item) break;
+            if (item.nextAttemptAt && Date.parse(item.nextAttemptAt) > Date.now()) {
+                scheduleRetry(item);
+                break;
+            }
+            const outcome = await sendQueuedUpdate(item);
+            if (outcome === 'done' && item.queuedOffline) synced++;
+            if (outcome === 'retry') {
+                scheduleRetry(item);
+                break;
+            }
+        }
+    } finally {
+        isSyncing = false;
+    }
+    if (synced) showNotification(`${synced} offline change${synced !== 1 ? 's' : ''} synced to cloud`);
+}
+
+// After a reconnect, waiting items go out right away instead of finishing their backoff
+function retryQueuedNow() {
+    updateQueue.forEach(u => {
+        if (u.status !== 'rejected') {
+            u.status = 'pending';
+            u.nextAttemptAt = null;
+        }
+    });
+    saveUpdateQueue();
+    processUpdateQueue();
+}
+
+// Pending changes panel: what is still waiting for the server, with retry / discard
+const pendingModal = document.getElementById('pendingModal');
+const QUEUE_ACTION_LABELS = { 'listing-added': 'Add', 'listing-updated': 'Edit', 'listing-deleted': 'Delete' };
+
+function queuedTitle(item){
+    if (item.action !== 'listing-deleted') return item.data.title || item.data.id;
+    const listing = listings.find(l => l.id === item.data);
+    return listing ? listing.title : `Listing ${item.data}`;
+}
+
+function queuedStatus(item){
+    if (item.status === 'sending') return 'Sending…';
+    if (item.status === 'retrying') return `Failed (attempt ${item.attempts}), retrying at ${new Date(item.nextAttemptAt).toLocaleTimeString()}: ${item.lastError}`;
+    if (item.status === 'rejected') return `Rejected: ${item.lastError}`;
+    return isConnected ? 'Waiting to be sent' : 'Waiting for the connection';
+}
+
+function renderPendingChanges(){
+    const btn = document.getElementById('pendingBtn');
+    if (btn) {
+        btn.hidden = updateQueue.length === 0;
+        document.getElementById('pendingBadge').textContent = updateQueue.length;
+    }
+    if (!pendingModal || pendingModal.getAttribute('aria-hidden') !== 'false') return;
+
+    const list = document.getElementById('pendingList');
+    list.innerHTML = '';
+    if (!updateQueue.length) {
+        list.appendChild(el('p', {class: 'no-results'}, ['All changes are saved.']));
+        return;
+    }
+    updateQueue.forEach(item => {
+        const retryBtn = el('button', {type: 'button', class: 'cta-button'}, ['Retry now']);
+        retryBtn.disabled = item.status === 'sending' || !isConnected;
+        retryBtn.addEventListener('click', () => retryQueuedItem(item));
+        const discardBtn = el('button', {type: 'button', class: 'details-btn'}, ['Discard']);
+        discardBtn.disabled = item.status === 'sending';
+        discardBtn.addEventListener('click', () => discardQueuedItem(item));
+        list.appendChild(el('div', {class: `pending-item ${item.status}`}, [
+            el('div', {class: 'trash-info'}, [
+                el('strong', {}, [`${QUEUE_ACTION_LABELS[item.action] || item.action}: ${queuedTitle(item)}`]),
+                el('div', {class: 'lead-meta'}, [`Queued ${new Date(item.timestamp).toLocaleString()} · ${queuedStatus(item)}`])
+            ]),
+            el('div', {class: 'trash-actions'}, [retryBtn, discardBtn])
+        ]));
+    });
+}
+
+function retryQueuedItem(item){
+    item.status = 'pending';
+    item.attempts = 0;
+    item.nextAttemptAt = null;
+    saveUpdateQueue();
+    processUpdateQueue();
+}
+
+// Drop a change without sending it and go back to the server's copy (offline: undo it
+// locally where the queue knows the previous state)
+function discardQueuedItem(item){
+    if (!confirm(`Discard this change to "${queuedTitle(item)}"? It will not be saved.`)) return;
+    removeQueued(item);
+    if (hasServerListings) {
+        // Back to the server's copy
+        listings = withUnsentWrites(syncedListings);
+    } else if (item.action === 'listing-added') {
+        listings = listings.filter(l => l.id !== item.data.id);
+    } else if (item.action === 'listing-updated' && item.base) {
+        const idx = listings.findIndex(l => l.id === item.base.id);
+        if (idx !== -1) listings[idx] = item.base;
+    } else {
+        showNotification('The listing comes back once the connection is restored');
+    }
+    saveListings();
+    renderListings();
+}
+
+const pendingBtn = document.getElementById('pendingBtn');
+if (pendingBtn) pendingBtn.addEventListener('click', () => { openModal(pendingModal); renderPendingChanges(); });
+document.querySelectorAll('#pendingModal .modal-close').forEach(btn => btn.addEventListener('click', () => closeModal(pendingModal)));
+if (pendingModal) pendingModal.addEventListener('click', (e) => { if (e.target === pendingModal) closeModal(pendingModal); });
+
+// ============================================
+// ADMIN PRESENCE & EDIT LOCKS
+// ============================================
+// The server tells admins who is online and which listing each has open in the edit
+// form. Opening a listing asks for its soft lock, renewed while the form stays open; when
+// another admin holds it, the form says who and offers to take it over. Locks only
+// warn: saves are still checked for conflicts.
+const EDIT_HEARTBEAT_MS = 30 * 1000;
+let adminPresence = { admins: [], locks: [] };
+let editingListingId = null;
+let editLock = null; // the lock on editingListingId, whoever holds it
+let editLockLostTo = null; // who took it over from us
+let editHeartbeat = null;
+
+function listingTitle(id) {
+    const listing = listings.find(l => l.id === id);
+    return listing ? listing.title : 'a listing';
+}
+
+function isMyLock(lock) {
+    return Boolean(lock && socket && lock.socketId === socket.id);
+}
+
+// Admins sharing an account are told apart by window
+function lockHolderName(lock) {
+    return adminSession && lock.username === adminSession.username ? `${lock.username} (in another window)` : lock.username;
+}
+
+function setAdminPresence(presence) {
+    adminPresence = presence;
+    if (editingListingId) editLock = presence.locks.find(l => l.listingId === editingListingId) || null;
+    renderPresence();
+    renderEditingBadges();
+    renderEditLock();
+}
+
+// edit-start (also the heartbeat) or edit-takeover for the listing open in the form
+function sendEditLock(event) {
+    if (!socket || !isConnected || !editingListingId) return;
+    const listingId = editingListingId;
+    socket.emit(event, listingId, (res) => {
+        if (!res || listingId !== editingListingId) return;
+        if (res.lock) editLock = res.lock;
+        if (res.ok) editLockLostTo = null;
+        renderEditLock();
+    });
+}
+
+function startEditing(id) {
+    stopEditing();
+    editingListingId = id;
+    sendEditLock('edit-start');
+    editHeartbeat = setInterval(() => sendEditLock('edit-start'), EDIT_HEARTBEAT_MS);
+    renderEditLock();
+}
+
+function stopEditing() {
+    if (!editingListingId) return;
+    clearInterval(editHeartbeat);
+    if (socket && isConnected) socket.emit('edit-stop', editingListingId);
+    editingListingId = null;
+    editLock = null;
+    editLockLostTo = null;
+    renderEditLock();
+}
+
+function renderEditLock() {
+    const banner = document.getElementById('editLockBanner');
+    if (!banner) return;
+    const other = editLock && !isMyLock(editLock) ? editLock : null;
+    banner.innerHTML = '';
+    banner.hidden = !other && !editLockLostTo;
+    banner.classList.toggle('lost', Boolean(editLockLostTo));
+    if (banner.hidden) return;
+    const name = other ? lockHolderName(other) : editLockLostTo;
+    const message = editLockLostTo
+        ? `✋ ${name} took over editing this listing. Saving now may conflict with their changes.`
+        : `✏️ ${name} is editing ${listingTitle(other.listingId)} (lock expires ${new Date(other.expiresAt).toLocaleTimeString()})`;
+    const takeOver = el('button', {type: 'button', class: 'details-btn'}, [editLockLostTo ? 'Take back' : 'Take over']);
+    takeOver.addEventListener('click', () => sendEditLock('edit-takeover'));
+    banner.appendChild(el('span', {}, [message]));
+    if (isConnected) banner.appendChild(takeOver);
+}
+
+function renderPresence() {
+    const container = document.getElementById('adminPresence');
+    if (!container) return;
+    const others = adminPresence.admins.filter(a => !socket || a.socketId !== socket.id);
+    const labels = new Set(others.map(a => (a.editing ? `${a.username} (editing ${listingTitle(a.editing)})` : a.username)));
+    container.textContent = labels.size ? `👥 Also online: ${Array.from(labels).join(', ')}` : '';
+}
+
+// "✏️ Maria is editing" on the cards of listings another admin holds the lock on
+function renderEditingBadges() {
+    document.querySelectorAll('#featuredList .listing-card').forEach(card => {
+        const existing = card.querySelector('.editing-badge');
+        if (existing) existing.remove();
+        const lock = isAdmin && adminPresence.locks.find(l => l.listingId === card.getAttribute('data-id') && !isMyLock(l));
+        if (lock) card.querySelector('.listing-image').appendChild(el('span', {class: 'editing-badge'}, [`✏️ ${lockHolderName(lock)} is editing`]));
+    });
+}
+
+// ============================================
+// ADMIN SESSION
+// ============================================
+// The server owns the session (HttpOnly cookie); the client only mirrors its state
+let adminSession = null;
+let sessionExpiryTimer = null;
+// setTimeout fires at once for delays over 2^31-1 ms (about 24.8 days)
+const MAX_TIMER_DELAY_MS = 2 ** 31 - 1;
+
+async function checkAdminSession() {
+    try {
+        const res = await fetch('/api/auth/session', { credentials: 'same-origin' });
+        const data = await res.json();
+        setAdminSession(data.authenticated ? data : null);
+    } catch (err) {
+        console.error('Failed to check admin session:', err);
+        setAdminSession(null);
+    }
+}
+
+function setAdminSession(session) {
+    const wasAdmin = isAdmin;
+    adminSession = session;
+    isAdmin = !!session;
+
+    clearTimeout(sessionExpiryTimer);
+    if (session && session.expiresAt) scheduleSessionExpiry(session.expiresAt);
+
+    renderAdminNav();
+    if (wasAdmin !== isAdmin) renderListings();
+}
+
+// Longer sessions wait in steps of the longest delay a timer allows
+function scheduleSessionExpiry(expiresAt) {
+    const remaining = expiresAt - Date.now();
+    sessionExpiryTimer = setTimeout(() => {
+        if (expiresAt > Date.now()) scheduleSessionExpiry(expiresAt);
+        else handleSessionExpired();
+    }, Math.min(Math.max(0, remaining), MAX_TIMER_DELAY_MS));
+}
+
+function handleSessionExpired() {
+    if (!isAdmin) return;
+    setAdminSession(null);
+    closeModal(editModal);
+    showNotification('⏰ Admin session expired - please log in again');
+}
+
+async function logoutAdmin() {
+    try {
+        await fetch('/api/auth/logout', { method: 'POST', credentials: 'same-origin' });
+    } catch (err) {
+        console.error('Logout request failed:', err);
+    }
+    setAdminSession(null);
+    closeModal(editModal);
+    showNotification('✅ Logged out successfully');
+}
+
+// show small admin status / logout link in nav when logged in
+function renderAdminNav() {
+    const existing = document.getElementById('adminLogout');
+    if (existing) existing.parentElement.remove();
+    if (!isAdmin) return;
+
+    const nav = document.querySelector('.nav-links');
+    if (nav) {
+        const li = document.createElement('li');
+        const a = document.createElement('a');
+        a.href = '#'; a.textContent = 'Admin: Logout'; a.id = 'adminLogout';
+        a.addEventListener('click', (ev) => { ev.preventDefault(); logoutAdmin(); });
+        li.appendChild(a);
+        nav.appendChild(li);
+    }
+}
+
 // Setup admin-related controls and shortcuts
 function setupAdminControls() {
     const adminBtn = document.getElementById('logoutBtn');
     if (adminBtn) {
         adminBtn.addEventListener('click', () => {
-            if (confirm('Logout as admin?')) {
-                sessionStorage.removeItem('isAdmin');
-                isAdmin = false;
-                renderListings();
-                showNotification('✅ Logged out successfully');
-            }
+            if (confirm('Logout as admin?')) logoutAdmin();
         });
     }
+
+    // Timers are throttled in background tabs, so re-check when the page becomes visible
+    document.addEventListener('visibilitychange', () => {
+        if (document.visibilityState === 'visible' && isAdmin) checkAdminSession();
+    });
+    checkAdminSession();
     
     // Keyboard shortcut: Press Shift+A+L to access admin login
     let keySequence = [];
@@ -225,15 +755,15 @@ document.querySelectorAll('a[href^="#"]').forEach(anchor => {
 // Handle contact buttons (support multiple)
 document.addEventListener('click', (e) => {
     if (e.target && e.target.classList.contains('contact-btn')) {
-        alert('Thank you for your interest! Please call +639088878040 or email atheni@realestate.com to schedule a showing.');
+        openBookingModal(e.target.getAttribute('data-id'));
     }
 });
 
 // Simple data storage + CRUD for featured listings (persist in localStorage)
 const STORAGE_KEY = 'featured_listings_v1';
 let listings = [];
-// admin flag stored in sessionStorage; set by visiting hidden admin page
-let isAdmin = sessionStorage.getItem('isAdmin') === '1';
+// admin flag mirrors the server session; set by checkAdminSession()
+let isAdmin = false;
 
 const defaults = [
     {
@@ -251,17 +781,23 @@ const defaults = [
             {
                 title: 'STUDIO UNIT - 22.1 sqm',
                 type: 'East Mandaue/City View',
-                items: ['Total Selling Price: ₱4,381,104', 'Reservation Fee: ₱20,000', '15% Downpayment payable in 60 months: ₱8,000/month', '85% Balance payable through bank financing']
+                floorArea: 22.1, totalPrice: 4381104, reservationFee: 20000,
+                downpaymentPercent: 15, downpaymentMonths: 60, monthlyDownpayment: 8000, bankFinancedPercent: 85,
+                items: []
             },
             {
                 title: '1BR UNIT - 45.27 sqm',
                 type: 'West/Mountain View',
-                items: ['Total Selling Price: ₱8,264,491', 'Reservation Fee: ₱20,000', '15% Downpayment payable in 60 months: ₱22,600/month', '85% Balance payable through bank financing']
+                floorArea: 45.27, totalPrice: 8264491, reservationFee: 20000,
+                downpaymentPercent: 15, downpaymentMonths: 60, monthlyDownpayment: 22600, bankFinancedPercent: 85,
+                items: []
             },
             {
                 title: '2BR UNIT - 66.52 sqm',
                 type: 'South West/Corner Mountain View & City View',
-                items: ['Total Selling Price: ₱12,814,412', 'Reservation Fee: ₱20,000', '15% Downpayment payable in 60 months: ₱35,000/month', '85% Balance payable through bank financing']
+                floorArea: 66.52, totalPrice: 12814412, reservationFee: 20000,
+                downpaymentPercent: 15, downpaymentMonths: 60, monthlyDownpayment: 35000, bankFinancedPercent: 85,
+                items: []
             }
         ],
         locations: ['340 m Marco Polo Plaza Cebu', '760 m Mercedes-Benz Cebu', '1.4 km Camp Lapu-Lapu Station Hospital', '1.5 km JY Square Mall', '1.87 km University of Southern Philippines Foundation', '1.9 km Cebu IT Park', '2.4 km University of the Philippines Cebu', '2.5 km Waterfront Hotel & Casino Cebu City', '2.9 km Cebu Business Park', '2.9 km Ayala Center Cebu', '3.6 km Temple of Leah', '3.8 km TOPS Cebu', '6.2 km Cebu City Link Expressway Bridge', '9.8 km Mactan Cebu International Airport']
@@ -277,12 +813,9 @@ function loadListings() {
     }
 }
 
+// Local copy only; writes reach the server through the OFFLINE QUEUE
 function saveListings() {
     localStorage.setItem(STORAGE_KEY, JSON.stringify(listings));
-    // Emit sync to all connected clients
-    if (socket && isConnected) {
-        socket.emit('sync-listings', listings);
-    }
 }
 
 function el(tag, props = {}, children = []){
@@ -302,11 +835,19 @@ function renderListings(){
     // show/hide admin controls
     const adminControls = document.querySelector('.admin-controls');
     if (adminControls) adminControls.style.display = isAdmin ? 'flex' : 'none';
-    listings.forEach(listing => {
-        const card = el('div',{class: 'listing-card'});
+    const visible = getVisibleListings();
+    renderAmenityFilters();
+    renderFilterSummary(visible.length);
+    if (!visible.length && listings.length) {
+        container.appendChild(el('p', {class: 'no-results'}, ['No listings match your filters.']));
+    }
+    visible.forEach(listing => {
+        const card = el('div',{class: 'listing-card', 'data-id': listing.id});
         const imgWrap = el('div',{class:'listing-image'});
-        const img = el('img',{src: listing.mainImage || '', alt: listing.title});
+        const img = el('img',{src: listing.mainImage || '', alt: (listing.captions && listing.captions[listing.mainImage]) || listing.title});
         imgWrap.appendChild(img);
+        const badge = statusBadge(listing);
+        if (badge) imgWrap.appendChild(badge);
 
         const details = el('div',{class: 'listing-details'});
         const h3 = el('h3',{}, [listing.title]);
@@ -322,10 +863,12 @@ function renderListings(){
             editBtn = el('button',{class:'details-btn edit-btn', 'data-id': listing.id}, ['Edit']);
             delBtn = el('button',{class:'details-btn delete-btn', 'data-id': listing.id}, ['Delete']);
         }
-        const contactBtn = el('button',{class:'contact-btn'}, ['Schedule a Showing']);
+        // Showings only for listings still on the market
+        const status = listing.status || 'published';
+        const contactBtn = status === 'published' ? el('button',{class:'contact-btn', 'data-id': listing.id}, ['Schedule a Showing']) : null;
 
         actions.appendChild(detailsBtn);
-        actions.appendChild(contactBtn);
+        if (contactBtn) actions.appendChild(contactBtn);
         if (isAdmin) {
             actions.appendChild(editBtn);
             actions.appendChild(delBtn);
@@ -348,58 +891,305 @@ function renderListings(){
         else if (btn.classList.contains('delete-btn')) btn.addEventListener('click', () => deleteListing(id));
         else btn.addEventListener('click', () => openDetailsModal(id));
     });
+    renderEditingBadges();
+    observeImpressions(Array.from(container.querySelectorAll('.listing-card')));
 }
 
-function deleteListing(id){
-    if (!confirm('Delete this listing?')) return;
-    listings = listings.filter(l => l.id !== id);
-    saveListings();
-    renderListings();
-    // Emit delete event to all connected clients
-    if (socket && isConnected) {
-        socket.emit('listing-deleted', id);
-    } else if (!isConnected) {
-        // Queue deletion for when connection is restored
-        queueUpdate('listing-deleted', id);
+// Card badge: "Sold" for everyone; admins also see which listings visitors cannot
+function statusBadge(listing){
+    const status = listing.status || 'published';
+    if (status === 'published' || (status !== 'sold' && !isAdmin)) return null;
+    let text = ListingSchema.STATUS_LABELS[status];
+    if (status === 'scheduled' && listing.publishAt) text += ` · ${new Date(listing.publishAt).toLocaleString()}`;
+    return el('span', {class: `status-badge ${status}`}, [text]);
+}
+
+// ============================================
+// ANALYTICS (visitor events)
+// ============================================
+// Visitors' card impressions, details opens, tab switches and moves to another gallery
+// image are queued and sent to /api/analytics/events every ANALYTICS_FLUSH_MS and when
+// the page is hidden. Admins are not counted (the server ignores their session as well).
+const ANALYTICS_FLUSH_MS = 10000;
+const ANALYTICS_BATCH_SIZE = 100;
+const ANALYTICS_QUEUE_LIMIT = 500;
+let analyticsQueue = [];
+// A card counts once per page view, when at least half of it has been on screen
+const impressedListings = new Set();
+let impressionObserver = null;
+
+function trackEvent(type, listingId, details = {}){
+    if (isAdmin || !listingId || analyticsQueue.length >= ANALYTICS_QUEUE_LIMIT) return;
+    analyticsQueue.push({ type, listingId, ...details });
+}
+
+function trackImpression(listingId){
+    if (impressedListings.has(listingId)) return;
+    impressedListings.add(listingId);
+    trackEvent('impression', listingId);
+}
+
+// Without IntersectionObserver every rendered card counts as seen
+function observeImpressions(cards){
+    if (isAdmin) return;
+    if (!('IntersectionObserver' in window)) {
+        cards.forEach(card => trackImpression(card.getAttribute('data-id')));
+        return;
     }
+    if (!impressionObserver) {
+        impressionObserver = new IntersectionObserver(entries => entries.forEach(entry => {
+            if (!entry.isIntersecting) return;
+            impressionObserver.unobserve(entry.target);
+            trackImpression(entry.target.getAttribute('data-id'));
+        }), { threshold: 0.5 });
+    }
+    impressionObserver.disconnect();
+    cards.filter(card => !impressedListings.has(card.getAttribute('data-id'))).forEach(card => impressionObserver.observe(card));
 }
 
-// Edit/Create modal handling
-const addBtn = document.getElementById('addFeaturedBtn');
-const editModal = document.getElementById('editModal');
-const detailsModal = document.getElementById('detailsModal');
+// sendBeacon still delivers while the page is being closed; fetch with keepalive otherwise
+function flushAnalytics(){
+    if (isAdmin) analyticsQueue = [];
+    if (!navigator.onLine) return;
+    while (analyticsQueue.length) {
+        const body = JSON.stringify({ events: analyticsQueue.splice(0, ANALYTICS_BATCH_SIZE) });
+        const sent = navigator.sendBeacon && navigator.sendBeacon('/api/analytics/events', new Blob([body], { type: 'application/json' }));
+        if (!sent) fetch('/api/analytics/events', { method: 'POST', headers: {'Content-Type': 'application/json'}, body, keepalive: true }).catch(() => {});
+    }
+}
 
-function openEditModal(id){
-    if (!sessionStorage.getItem('isAdmin')) { alert('Admin only: log in at the hidden admin page.'); return; }
-    const form = document.getElementById('editForm');
-    document.getElementById('listingId').value = id || '';
-    const titleInput = document.getElementById('titleInput');
-    const descInput = document.getElementById('descInput');
-    const locationInput = document.getElementById('locationInput');
-    const locationDetailsInput = document.getElementById('locationDetailsInput');
-    const bedsInput = document.getElementById('bedsInput');
-    const bathsInput = document.getElementById('bathsInput');
-        const amenitiesInput = document.getElementById('amenitiesInput');
-        const locationsInput = document.getElementById('locationsInput');
-    const mainPreview = document.getElementById('mainPreview');
-    const galleryPreview = document.getElementById('galleryPreview');
-    mainPreview.innerHTML = '';
-    galleryPreview.innerHTML = '';
-    
-    // reset pricing units
-    currentEditingPricing = [];
-    renderPricingUnits();
-    
-    if (!id){
-        document.getElementById('editTitle').textContent = 'Add Featured Listing';
-        titleInput.value = '';
-        descInput.value = '';
-        locationInput.value = '';
-        locationDetailsInput.value = '';
-        bedsInput.value = 0;
-        bathsInput.value = 0;
-            amenitiesInput.value = '';
+setInterval(flushAnalytics, ANALYTICS_FLUSH_MS);
+document.addEventListener('visibilitychange', () => { if (document.visibilityState === 'hidden') flushAnalytics(); });
+
+// ============================================
+// SEARCH / FILTER / SORT
+// ============================================
+// Filter state lives in the URL query string (?q=&beds=&baths=&minPrice=&maxPrice=&amenities=&sort=)
+// so a filtered view can be shared as a link
+const SORT_OPTIONS = ['featured', 'price-asc', 'price-desc', 'newest', 'beds'];
+let listingFilters = readFiltersFromUrl();
+
+function readFiltersFromUrl(){
+    const params = new URLSearchParams(location.search);
+    const num = (key) => { const v = params.get(key); return v === null || v === '' || isNaN(Number(v)) ? null : Number(v); };
+    return {
+        q: params.get('q') || '',
+        beds: num('beds') || 0,
+        baths: num('baths') || 0,
+        minPrice: num('minPrice'),
+        maxPrice: num('maxPrice'),
+        amenities: (params.get('amenities') || '').split(',').map(a => a.trim()).filter(Boolean),
+        sort: SORT_OPTIONS.includes(params.get('sort')) ? params.get('sort') : 'featured'
+    };
+}
+
+function writeFiltersToUrl(){
+    const params = new URLSearchParams(location.search);
+    const set = (key, value) => { if (value === null || value === '' || value === 0 || value === 'featured') params.delete(key); else params.set(key, value); };
+    set('q', listingFilters.q.trim());
+    set('beds', listingFilters.beds);
+    set('baths', listingFilters.baths);
+    set('minPrice', listingFilters.minPrice);
+    set('maxPrice', listingFilters.maxPrice);
+    set('amenities', listingFilters.amenities.join(','));
+    set('sort', listingFilters.sort);
+    const query = params.toString();
+    history.replaceState(history.state, '', `${location.pathname}${query ? '?' + query : ''}${location.hash}`);
+}
+
+// Lowest and highest total selling price across a listing's pricing units
+function listingPriceRange(listing){
+    const prices = getPricingUnits(listing).map(u => u.totalPrice).filter(p => typeof p === 'number' && p > 0);
+    return prices.length ? { min: Math.min(...prices), max: Math.max(...prices) } : null;
+}
+
+function listingTimestamp(listing){
+    const created = listing.createdAt ? Date.parse(listing.createdAt) : NaN;
+    return isNaN(created) ? Number(listing.id) || 0 : created;
+}
+
+function matchesFilters(listing, f){
+    if (f.q) {
+        const haystack = [listing.title, listing.description, listing.location, listing.locationDetails].join(' ').toLowerCase();
+        if (!f.q.toLowerCase().split(/\s+/).filter(Boolean).every(word => haystack.includes(word))) return false;
+    }
+    if (f.beds && (Number(listing.beds) || 0) < f.beds) return false;
+    if (f.baths && (Number(listing.baths) || 0) < f.baths) return false;
+    if (f.minPrice != null || f.maxPrice != null) {
+        // a listing matches when any of its units falls inside the range
+        const prices = getPricingUnits(listing).map(u => u.totalPrice).filter(p => typeof p === 'number' && p > 0);
+        const inRange = prices.some(p => (f.minPrice == null || p >= f.minPrice) && (f.maxPrice == null || p <= f.maxPrice));
+        if (!inRange) return false;
+    }
+    if (f.amenities.length) {
+        const have = (listing.amenities || []).map(a => a.toLowerCase());
+        if (!f.amenities.every(a => have.includes(a.toLowerCase()))) return false;
+    }
+    return true;
+}
+
+function sortListings(list, sort){
+    const priceOf = (l, which) => { const r = listingPriceRange(l); return r ? r[which] : null; };
+    const byPrice = (dir) => (a, b) => {
+        const pa = priceOf(a, 'min'), pb = priceOf(b, 'min');
+        if (pa === null) return pb === null ? 0 : 1; // unpriced listings last
+        if (pb === null) return -1;
+        return (pa - pb) * dir;
+    };
+    const sorted = list.slice();
+    if (sort === 'price-asc') sorted.sort(byPrice(1));
+    else if (sort === 'price-desc') sorted.sort(byPrice(-1));
+    else if (sort === 'newest') sorted.sort((a, b) => listingTimestamp(b) - listingTimestamp(a));
+    else if (sort === 'beds') sorted.sort((a, b) => (Number(b.beds) || 0) - (Number(a.beds) || 0));
+    return sorted;
+}
+
+function getVisibleListings(){
+    return sortListings(listings.filter(l => canViewListing(l) && matchesFilters(l, listingFilters)), listingFilters.sort);
+}
+
+// Drafts, scheduled and archived listings are admin-only (the server filters them too;
+// this covers copies cached in localStorage from an admin session)
+function canViewListing(listing){
+    return isAdmin || ListingSchema.isPublicListing(listing);
+}
+
+function renderAmenityFilters(){
+    const container = document.getElementById('filterAmenities');
+    if (!container) return;
+    const all = new Map();
+    listings.forEach(l => (l.amenities || []).forEach(a => { if (!all.has(a.toLowerCase())) all.set(a.toLowerCase(), a); }));
+    listingFilters.amenities.forEach(a => { if (!all.has(a.toLowerCase())) all.set(a.toLowerCase(), a); });
+    container.innerHTML = '';
+    Array.from(all.values()).sort((a, b) => a.localeCompare(b)).forEach(amenity => {
+        const box = el('input', {type: 'checkbox', value: amenity});
+        box.checked = listingFilters.amenities.some(a => a.toLowerCase() === amenity.toLowerCase());
+        box.addEventListener('change', () => {
+            listingFilters.amenities = box.checked
+                ? listingFilters.amenities.concat(amenity)
+                : listingFilters.amenities.filter(a => a.toLowerCase() !== amenity.toLowerCase());
+            applyFilters();
+        });
+        const label = el('label', {class: 'amenity-chip'});
+        label.appendChild(box);
+        label.appendChild(document.createTextNode(amenity));
+        container.appendChild(label);
+    });
+}
+
+function renderFilterSummary(count){
+    const summary = document.getElementById('filterSummary');
+    if (summary) summary.textContent = listings.length ? `Showing ${count} of ${listings.length} listing${listings.length !== 1 ? 's' : ''}` : '';
+}
+
+function applyFilters(){
+    writeFiltersToUrl();
+    renderListings();
+}
+
+// Push the current filter state into the form controls
+function syncFilterInputs(){
+    document.getElementById('filterSearch').value = listingFilters.q;
+    document.getElementById('filterBeds').value = String(listingFilters.beds);
+    document.getElementById('filterBaths').value = String(listingFilters.baths);
+    document.getElementById('filterMinPrice').value = listingFilters.minPrice ?? '';
+    document.getElementById('filterMaxPrice').value = listingFilters.maxPrice ?? '';
+    document.getElementById('filterSort').value = listingFilters.sort;
+}
+
+function setupListingFilters(){
+    const form = document.getElementById('listingFilters');
+    if (!form) return;
+    syncFilterInputs();
+
+    const numberOrNull = (input) => input.value === '' ? null : Number(input.value);
+    let searchTimer = null;
+    document.getElementById('filterSearch').addEventListener('input', (e) => {
+        clearTimeout(searchTimer);
+        searchTimer = setTimeout(() => { listingFilters.q = e.target.value; applyFilters(); }, 200);
+    });
+    document.getElementById('filterBeds').addEventListener('change', (e) => { listingFilters.beds = Number(e.target.value) || 0; applyFilters(); });
+    document.getElementById('filterBaths').addEventListener('change', (e) => { listingFilters.baths = Number(e.target.value) || 0; applyFilters(); });
+    document.getElementById('filterMinPrice').addEventListener('change', (e) => { listingFilters.minPrice = numberOrNull(e.target); applyFilters(); });
+    document.getElementById('filterMaxPrice').addEventListener('change', (e) => { listingFilters.maxPrice = numberOrNull(e.target); applyFilters(); });
+    document.getElementById('filterSort').addEventListener('change', (e) => { listingFilters.sort = e.target.value; applyFilters(); });
+    document.getElementById('clearFilters').addEventListener('click', () => {
+        listingFilters = { q: '', beds: 0, baths: 0, minPrice: null, maxPrice: null, amenities: [], sort: 'featured' };
+        syncFilterInputs();
+        applyFilters();
+    });
+    form.addEventListener('submit', (e) => e.preventDefault());
+
+    window.addEventListener('popstate', () => {
+        listingFilters = readFiltersFromUrl();
+        syncFilterInputs();
+        renderListings();
+        routeFromUrl();
+    });
+}
+
+// Deleted listings go to the trash, where admins can restore them (see LISTINGS TRASH)
+function deleteListing(id){
+    if (!confirm('Move this listing to the trash?')) return;
+    listings = listings.filter(l => l.id !== id);
+    saveListings();
+    renderListings();
+    // Sent now, or when the connection is restored (see OFFLINE QUEUE)
+    queueUpdate('listing-deleted', id);
+}
+
+// Edit/Create modal handling
+const addBtn = document.getElementById('addFeaturedBtn');
+const statusInput = document.getElementById('statusInput');
+const publishAtInput = document.getElementById('publishAtInput');
+ListingSchema.LISTING_STATUSES.forEach(status => statusInput.appendChild(el('option', {value: status}, [ListingSchema.STATUS_LABELS[status]])));
+
+// datetime-local inputs hold local time without a zone
+function toLocalInputValue(date){
+    return new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+}
+
+function setListingStatus(status, publishAt){
+    statusInput.value = status;
+    publishAtInput.value = publishAt ? toLocalInputValue(new Date(publishAt)) : '';
+    publishAtInput.min = toLocalInputValue(new Date());
+    document.getElementById('publishAtRow').hidden = status !== 'scheduled';
+}
+statusInput.addEventListener('change', () => setListingStatus(statusInput.value, publishAtInput.value && new Date(publishAtInput.value)));
+const editModal = document.getElementById('editModal');
+const detailsModal = document.getElementById('detailsModal');
+
+function openEditModal(id){
+    if (!isAdmin) { alert('Admin only: log in at the hidden admin page.'); return; }
+    const form = document.getElementById('editForm');
+    document.getElementById('listingId').value = id || '';
+    renderFormErrors([]);
+    const titleInput = document.getElementById('titleInput');
+    const descInput = document.getElementById('descInput');
+    const locationInput = document.getElementById('locationInput');
+    const locationDetailsInput = document.getElementById('locationDetailsInput');
+    const bedsInput = document.getElementById('bedsInput');
+    const bathsInput = document.getElementById('bathsInput');
+        const amenitiesInput = document.getElementById('amenitiesInput');
+        const locationsInput = document.getElementById('locationsInput');
+    resetGalleryEditor(null);
+
+    // reset pricing units
+    currentEditingPricing = [];
+    renderPricingUnits();
+    
+    if (!id){
+        document.getElementById('editTitle').textContent = 'Add Featured Listing';
+        titleInput.value = '';
+        descInput.value = '';
+        locationInput.value = '';
+        locationDetailsInput.value = '';
+        bedsInput.value = 0;
+        bathsInput.value = 0;
+            amenitiesInput.value = '';
             locationsInput.value = '';
+        // New listings stay hidden from visitors until they are published
+        setListingStatus('draft', null);
     } else {
         const listing = listings.find(l => l.id === id);
         if (!listing) return;
@@ -412,48 +1202,95 @@ function openEditModal(id){
         bathsInput.value = listing.baths || 0;
             amenitiesInput.value = (listing.amenities || []).join('\n');
             locationsInput.value = (listing.locations || []).join('\n');
+        setListingStatus(listing.status || 'published', listing.publishAt);
         
         // load pricing units
-        currentEditingPricing = JSON.parse(JSON.stringify(Array.isArray(listing.pricing) ? listing.pricing : []));
+        currentEditingPricing = JSON.parse(JSON.stringify(getPricingUnits(listing)));
         renderPricingUnits();
-        
-        if (listing.mainImage) {
-            const img = el('img',{src: listing.mainImage}); mainPreview.appendChild(img);
-        }
-        if (Array.isArray(listing.gallery)){
-            listing.gallery.forEach(src => { const t = el('img',{src}); galleryPreview.appendChild(t); });
-        }
+        resetGalleryEditor(listing);
     }
+    resetHistoryPanel(id);
+    // Tell other admins, and hold the edit lock while the form is open
+    if (id) startEditing(id);
+    else stopEditing();
     openModal(editModal);
 }
 
 function openModal(modal){
     if (!modal) return; modal.setAttribute('aria-hidden','false'); document.body.style.overflow = 'hidden';
 }
-function closeModal(modal){ if (!modal) return; modal.setAttribute('aria-hidden','true'); document.body.style.overflow = ''; }
+function closeModal(modal){
+    if (!modal) return; modal.setAttribute('aria-hidden','true'); document.body.style.overflow = '';
+    if (modal === editModal) stopEditing();
+}
 
 // Pricing units management
 let currentEditingPricing = [];
 
+// Structured units for a listing; legacy text-only units are migrated on the fly
+function getPricingUnits(listing){
+    if (!Array.isArray(listing.pricing)) return [];
+    return listing.pricing.filter(u => u && typeof u === 'object').map(ListingPricing.migratePricingUnit);
+}
+
+const PRICING_UNIT_FIELDS = [
+    { name: 'title', label: 'Unit title', placeholder: 'e.g. STUDIO UNIT - 22.1 sqm' },
+    { name: 'type', label: 'Type / view', placeholder: 'e.g. East Mandaue/City View' },
+    { name: 'floorArea', label: 'Floor area (sqm)', numeric: true },
+    { name: 'totalPrice', label: 'Total selling price (₱)', numeric: true },
+    { name: 'reservationFee', label: 'Reservation fee (₱)', numeric: true },
+    { name: 'downpaymentPercent', label: 'Downpayment (%)', numeric: true },
+    { name: 'downpaymentMonths', label: 'Downpayment term (months)', numeric: true },
+    { name: 'monthlyDownpayment', label: 'Quoted monthly downpayment (₱, optional)', numeric: true },
+    { name: 'bankFinancedPercent', label: 'Bank-financed balance (%)', numeric: true },
+    { name: 'items', label: 'Notes (one per line)', multiline: true }
+];
+
+function pricingUnitSummary(unit){
+    const c = ListingPricing.computePricing(unit);
+    const parts = [];
+    if (c.pricePerSqm != null) parts.push(`${ListingPricing.formatPeso(c.pricePerSqm)}/sqm`);
+    if (c.monthlyDownpayment != null) parts.push(`${ListingPricing.formatPeso(c.monthlyDownpayment)}/month downpayment`);
+    if (c.balanceAmount != null) parts.push(`${ListingPricing.formatPeso(c.balanceAmount)} bank financed`);
+    return parts.join(' · ');
+}
+
 function renderPricingUnits(){
     const container = document.getElementById('pricingUnitsContainer');
     container.innerHTML = '';
     currentEditingPricing.forEach((unit, idx) => {
         const unitDiv = el('div', {class: 'pricing-unit'});
-        const titleDiv = el('div', {class: 'pricing-unit-title'}, [unit.title || '']);
-        const typeDiv = el('div', {class: 'pricing-unit-type'}, [unit.type || '']);
-        const itemsDiv = el('div', {class: 'pricing-unit-items'});
-        (unit.items || []).forEach(item => {
-            itemsDiv.appendChild(el('div', {class: 'pricing-item'}, [item]));
+        const fields = el('div', {class: 'pricing-unit-fields'});
+        const summary = el('div', {class: 'pricing-unit-type'}, [pricingUnitSummary(unit)]);
+
+        PRICING_UNIT_FIELDS.forEach(field => {
+            let input;
+            if (field.multiline) {
+                input = el('textarea', {rows: 2});
+                input.value = (unit[field.name] || []).join('\n');
+            } else {
+                input = el('input', {type: field.numeric ? 'number' : 'text', placeholder: field.placeholder || ''});
+                if (field.numeric) { input.min = '0'; input.step = 'any'; }
+                input.value = unit[field.name] == null ? '' : unit[field.name];
+            }
+            input.addEventListener('input', () => {
+                if (field.multiline) unit[field.name] = input.value.split('\n').map(s => s.trim()).filter(Boolean);
+                else if (field.numeric) unit[field.name] = input.value === '' ? null : Number(input.value);
+                else unit[field.name] = input.value;
+                summary.textContent = pricingUnitSummary(unit);
+            });
+            const wrap = el('label', {class: field.multiline ? 'pricing-field wide' : 'pricing-field'}, [field.label]);
+            wrap.appendChild(input);
+            fields.appendChild(wrap);
         });
+
         const removeBtn = el('button', {type: 'button', class: 'details-btn remove-unit-btn'}, ['Remove']);
         removeBtn.addEventListener('click', () => {
             currentEditingPricing.splice(idx, 1);
             renderPricingUnits();
         });
-        unitDiv.appendChild(titleDiv);
-        unitDiv.appendChild(typeDiv);
-        unitDiv.appendChild(itemsDiv);
+        unitDiv.appendChild(fields);
+        unitDiv.appendChild(summary);
         unitDiv.appendChild(removeBtn);
         container.appendChild(unitDiv);
     });
@@ -461,39 +1298,170 @@ function renderPricingUnits(){
 
 document.getElementById('addPricingUnitBtn').addEventListener('click', (e) => {
     e.preventDefault();
-    currentEditingPricing.push({title: '', type: '', items: []});
+    currentEditingPricing.push(ListingPricing.migratePricingUnit({title: '', type: '', items: []}));
     renderPricingUnits();
-    // open a quick edit modal or inline edit
-    promptEditPricingUnit(currentEditingPricing.length - 1);
+    const units = document.querySelectorAll('#pricingUnitsContainer .pricing-unit');
+    const firstInput = units.length && units[units.length - 1].querySelector('input');
+    if (firstInput) firstInput.focus();
 });
 
-function promptEditPricingUnit(idx){
-    const unit = currentEditingPricing[idx];
-    const title = prompt('Unit title (e.g., STUDIO UNIT - 22.1 sqm):', unit.title || '');
-    if (title === null) return;
-    unit.title = title;
-    const type = prompt('Unit type/view (e.g., East Mandaue/City View):', unit.type || '');
-    if (type === null) return;
-    unit.type = type;
-    const itemsText = prompt('Items (one per line):', (unit.items || []).join('\n'));
-    if (itemsText === null) return;
-    unit.items = itemsText.split('\n').map(s => s.trim()).filter(Boolean);
-    renderPricingUnits();
+// Inline validation errors for the edit form (shared ListingSchema field names)
+const FORM_FIELD_INPUTS = {
+    title: 'titleInput',
+    description: 'descInput',
+    location: 'locationInput',
+    locationDetails: 'locationDetailsInput',
+    beds: 'bedsInput',
+    baths: 'bathsInput',
+    amenities: 'amenitiesInput',
+    locations: 'locationsInput',
+    pricing: 'pricingUnitsContainer',
+    status: 'statusInput',
+    publishAt: 'publishAtInput'
+};
+
+function renderFormErrors(errors) {
+    const box = document.getElementById('editErrors');
+    document.querySelectorAll('#editForm .input-error').forEach(n => n.classList.remove('input-error'));
+    box.innerHTML = '';
+    box.hidden = !errors || !errors.length;
+    if (box.hidden) return;
+
+    const list = el('ul');
+    errors.forEach(err => {
+        list.appendChild(el('li', {}, [ListingSchema.formatErrors([err])]));
+        const inputId = FORM_FIELD_INPUTS[err.field.split(/[.[]/)[0]];
+        const input = inputId && document.getElementById(inputId);
+        if (input) input.classList.add('input-error');
+    });
+    box.appendChild(list);
+}
+
+// Form handling: upload files to the media store then save
+async function uploadImage(file){
+    const body = new FormData();
+    body.append('image', file);
+    const { ok, data } = await adminFetch('/api/upload-image', { method: 'POST', body });
+    if (!ok) throw new Error(`${file.name}: ${data.error || 'upload failed'}`);
+    return data.url;
+}
+
+// Media store images have a small variant next to the web one; other URLs are used as-is
+function thumbnailSrc(src){
+    return typeof src === 'string' ? src.replace(/\/web\.jpg$/, '/thumb.jpg') : src;
+}
+
+// Gallery editor: editingCover becomes mainImage, editingGallery the ordered gallery.
+// Items are { src, caption, file }; newly picked files preview from an object URL and
+// are uploaded on save, so they can be ordered and captioned first.
+let editingCover = null;
+let editingGallery = [];
+
+function galleryItem(src, caption, file){
+    return { src, caption: caption || '', file: file || null };
+}
+
+function fileGalleryItem(file){
+    return galleryItem(URL.createObjectURL(file), '', file);
+}
+
+function releaseGalleryItem(item){
+    if (item && item.file) URL.revokeObjectURL(item.src);
+}
+
+function resetGalleryEditor(listing){
+    editingGallery.forEach(releaseGalleryItem);
+    if (!editingGallery.includes(editingCover)) releaseGalleryItem(editingCover);
+    const captions = (listing && listing.captions) || {};
+    editingGallery = ((listing && listing.gallery) || []).map(src => galleryItem(src, captions[src]));
+    const cover = listing && listing.mainImage;
+    // A cover that is also in the gallery shares its item, so one caption serves both
+    editingCover = cover ? (editingGallery.find(item => item.src === cover) || galleryItem(cover, captions[cover])) : null;
+    renderGalleryEditor();
+}
+
+function moveGalleryItem(from, to){
+    if (from === to || from < 0 || to < 0 || from >= editingGallery.length || to >= editingGallery.length) return;
+    const [item] = editingGallery.splice(from, 1);
+    editingGallery.splice(to, 0, item);
+    renderGalleryEditor();
+}
+
+function captionInput(item){
+    const input = el('input', {type: 'text', class: 'gallery-caption', placeholder: 'Caption (e.g. Kitchen)', maxlength: '200'});
+    input.value = item.caption;
+    input.addEventListener('input', () => { item.caption = input.value; });
+    return input;
 }
 
-// Form handling: read files then save
-function readFileAsDataURL(file){
-    return new Promise((resolve,reject)=>{
-        const fr = new FileReader();
-        fr.onload = () => resolve(fr.result);
-        fr.onerror = reject;
-        fr.readAsDataURL(file);
+function renderGalleryEditor(){
+    const mainPreview = document.getElementById('mainPreview');
+    mainPreview.innerHTML = '';
+    if (editingCover) {
+        const cover = editingCover;
+        const tile = el('div', {class: 'gallery-tile is-cover'}, [el('img', {src: cover.file ? cover.src : thumbnailSrc(cover.src), alt: cover.caption || 'Cover image'})]);
+        // Gallery photos are captioned in their own tile
+        if (!editingGallery.includes(cover)) tile.appendChild(captionInput(cover));
+        const removeBtn = el('button', {type: 'button', class: 'gallery-tile-btn'}, ['Remove cover']);
+        removeBtn.addEventListener('click', () => {
+            if (!editingGallery.includes(cover)) releaseGalleryItem(cover);
+            editingCover = null;
+            renderGalleryEditor();
+        });
+        tile.appendChild(removeBtn);
+        mainPreview.appendChild(tile);
+    }
+
+    const galleryPreview = document.getElementById('galleryPreview');
+    galleryPreview.innerHTML = '';
+    editingGallery.forEach((item, idx) => {
+        const tile = el('div', {class: item === editingCover ? 'gallery-tile is-cover' : 'gallery-tile', draggable: 'true'});
+        tile.addEventListener('dragstart', (e) => {
+            e.dataTransfer.effectAllowed = 'move';
+            e.dataTransfer.setData('text/plain', String(idx));
+            tile.classList.add('dragging');
+        });
+        tile.addEventListener('dragend', () => tile.classList.remove('dragging'));
+        tile.addEventListener('dragover', (e) => { e.preventDefault(); e.dataTransfer.dropEffect = 'move'; });
+        tile.addEventListener('drop', (e) => {
+            e.preventDefault();
+            moveGalleryItem(Number(e.dataTransfer.getData('text/plain')), idx);
+        });
+
+        tile.appendChild(el('img', {src: item.file ? item.src : thumbnailSrc(item.src), alt: item.caption || `Photo ${idx + 1}`, draggable: 'false'}));
+        tile.appendChild(captionInput(item));
+
+        // Buttons as well as drag and drop, for keyboards and touch screens
+        const actions = el('div', {class: 'gallery-tile-actions'});
+        const earlierBtn = el('button', {type: 'button', class: 'gallery-tile-btn', title: 'Move earlier', 'aria-label': 'Move earlier'}, ['‹']);
+        earlierBtn.disabled = idx === 0;
+        earlierBtn.addEventListener('click', () => moveGalleryItem(idx, idx - 1));
+        const laterBtn = el('button', {type: 'button', class: 'gallery-tile-btn', title: 'Move later', 'aria-label': 'Move later'}, ['›']);
+        laterBtn.disabled = idx === editingGallery.length - 1;
+        laterBtn.addEventListener('click', () => moveGalleryItem(idx, idx + 1));
+        const coverBtn = el('button', {type: 'button', class: 'gallery-tile-btn'}, [item === editingCover ? 'Cover' : 'Set as cover']);
+        coverBtn.disabled = item === editingCover;
+        coverBtn.addEventListener('click', () => {
+            if (editingCover && !editingGallery.includes(editingCover)) releaseGalleryItem(editingCover);
+            editingCover = item;
+            renderGalleryEditor();
+        });
+        const deleteBtn = el('button', {type: 'button', class: 'gallery-tile-btn danger', title: 'Remove photo', 'aria-label': 'Remove photo'}, ['✕']);
+        deleteBtn.addEventListener('click', () => {
+            editingGallery.splice(idx, 1);
+            // The cover keeps its own tile until it is removed there
+            if (item !== editingCover) releaseGalleryItem(item);
+            renderGalleryEditor();
+        });
+        [earlierBtn, laterBtn, coverBtn, deleteBtn].forEach(btn => actions.appendChild(btn));
+        tile.appendChild(actions);
+        galleryPreview.appendChild(tile);
     });
 }
 
 document.getElementById('editForm').addEventListener('submit', async (e) => {
     e.preventDefault();
-    if (!sessionStorage.getItem('isAdmin')) { alert('Admin only: cannot save.'); return; }
+    if (!isAdmin) { alert('Admin only: cannot save.'); return; }
     const id = document.getElementById('listingId').value;
     const title = document.getElementById('titleInput').value.trim();
     const description = document.getElementById('descInput').value.trim();
@@ -503,140 +1471,935 @@ document.getElementById('editForm').addEventListener('submit', async (e) => {
     const baths = Number(document.getElementById('bathsInput').value) || 0;
     const amenitiesText = document.getElementById('amenitiesInput') ? (document.getElementById('amenitiesInput').value || '') : '';
     const locationsText = document.getElementById('locationsInput') ? (document.getElementById('locationsInput').value || '') : '';
-    const mainFile = document.getElementById('mainImageInput').files[0];
-    const galleryFiles = Array.from(document.getElementById('galleryInput').files || []);
-
-    let mainImage;
-    let gallery = [];
 
-    // If new files selected, read them; otherwise keep existing
-    if (mainFile) mainImage = await readFileAsDataURL(mainFile);
-    if (galleryFiles.length) {
-        for (const f of galleryFiles) {
-            try { const d = await readFileAsDataURL(f); gallery.push(d); } catch(_){}
+    // Upload newly picked images (cover and gallery) before saving
+    const editingItems = [editingCover].concat(editingGallery).filter(Boolean);
+    const pending = editingItems.filter((item, i) => item.file && editingItems.indexOf(item) === i);
+    if (pending.length) {
+        if (!isConnected) { showNotification('❌ Images can only be uploaded while online', 'error'); return; }
+        const submitBtn = e.target.querySelector('button[type="submit"]');
+        const submitLabel = submitBtn && submitBtn.textContent;
+        try {
+            for (let i = 0; i < pending.length; i++) {
+                if (submitBtn) { submitBtn.disabled = true; submitBtn.textContent = `Uploading ${i + 1}/${pending.length}…`; }
+                const url = await uploadImage(pending[i].file);
+                URL.revokeObjectURL(pending[i].src);
+                pending[i].src = url;
+                pending[i].file = null;
+            }
+        } catch (err) {
+            showNotification(`❌ ${err.message}`, 'error');
+            return;
+        } finally {
+            if (submitBtn) { submitBtn.disabled = false; submitBtn.textContent = submitLabel; }
         }
     }
+    const captions = {};
+    editingItems.forEach(item => { if (item.caption.trim()) captions[item.src] = item.caption.trim(); });
 
     const amenities = amenitiesText.split('\n').map(s=>s.trim()).filter(Boolean);
     const locations = locationsText.split('\n').map(s=>s.trim()).filter(Boolean);
 
+    const existing = id ? listings.find(l => l.id === id) : null;
+    if (id && !existing) return;
+
+    const candidate = {
+        ...(existing || {}),
+        id: id || Date.now().toString(),
+        title,
+        description,
+        location,
+        locationDetails,
+        beds,
+        baths,
+        mainImage: editingCover ? editingCover.src : '',
+        gallery: editingGallery.map(item => item.src),
+        captions,
+        amenities: amenities,
+        locations: locations,
+        pricing: currentEditingPricing,
+        status: statusInput.value,
+        // Local time from the input, sent as an absolute instant
+        publishAt: statusInput.value === 'scheduled' && publishAtInput.value ? new Date(publishAtInput.value).toISOString() : null
+    };
+
+    // Same schema the server enforces; keep the modal open until it passes
+    const { valid, errors, value } = ListingSchema.validateListing(candidate);
+    if (!valid) {
+        renderFormErrors(errors);
+        return;
+    }
+    renderFormErrors([]);
+
     if (id) {
         const idx = listings.findIndex(l => l.id === id);
-        if (idx === -1) return;
-        listings[idx].title = title;
-        listings[idx].description = description;
-        listings[idx].location = location;
-        listings[idx].locationDetails = locationDetails;
-        listings[idx].beds = beds;
-        listings[idx].baths = baths;
-        if (mainImage) listings[idx].mainImage = mainImage;
-            if (gallery.length) listings[idx].gallery = (listings[idx].gallery || []).concat(gallery);
-            listings[idx].amenities = amenities;
-            listings[idx].locations = locations;
-            listings[idx].pricing = currentEditingPricing;
-            
+        listings[idx] = value;
         saveListings();
         renderListings();
-        // Emit update event to all connected clients
-        if (socket && isConnected) {
-            socket.emit('listing-updated', listings[idx]);
-        } else if (!isConnected) {
-            // Queue update for when connection is restored
-            queueUpdate('listing-updated', listings[idx]);
-        }
+        // Sent now, or when the connection is restored (see OFFLINE QUEUE)
+        queueUpdate('listing-updated', value, existing);
     } else {
-        const newListing = {
-            id: Date.now().toString(),
-            title,
-            description,
-            location,
-            locationDetails,
-            beds,
-            baths,
-            mainImage: mainImage || '',
-            gallery: gallery,
-                amenities: amenities,
-                locations: locations,
-                pricing: currentEditingPricing
-        };
-        listings.unshift(newListing);
+        listings.unshift(value);
         saveListings();
         renderListings();
-        // Emit add event to all connected clients
-        if (socket && isConnected) {
-            socket.emit('listing-added', newListing);
-        } else if (!isConnected) {
-            // Queue add for when connection is restored
-            queueUpdate('listing-added', newListing);
-        }
+        queueUpdate('listing-added', value);
     }
 
     closeModal(editModal);
-    // reset file inputs
-    document.getElementById('mainImageInput').value = '';
-    document.getElementById('galleryInput').value = '';
 });
 
-// Previews for file inputs
-document.getElementById('mainImageInput').addEventListener('change', async (e) => {
+// Picked files join the gallery editor; inputs are cleared so a file can be picked again
+document.getElementById('mainImageInput').addEventListener('change', (e) => {
     const file = e.target.files[0];
-    const preview = document.getElementById('mainPreview'); preview.innerHTML = '';
     if (file) {
-        const src = await readFileAsDataURL(file);
-        preview.appendChild(el('img',{src}));
+        if (editingCover && !editingGallery.includes(editingCover)) releaseGalleryItem(editingCover);
+        editingCover = fileGalleryItem(file);
+        renderGalleryEditor();
     }
+    e.target.value = '';
 });
-document.getElementById('galleryInput').addEventListener('change', async (e) => {
-    const files = Array.from(e.target.files||[]);
-    const preview = document.getElementById('galleryPreview'); preview.innerHTML = '';
-    for (const f of files){ const src = await readFileAsDataURL(f); preview.appendChild(el('img',{src})); }
+document.getElementById('galleryInput').addEventListener('change', (e) => {
+    editingGallery = editingGallery.concat(Array.from(e.target.files || []).map(fileGalleryItem));
+    e.target.value = '';
+    renderGalleryEditor();
 });
 
 // Cancel and close buttons
 document.querySelectorAll('#editModal .modal-close, #cancelEdit').forEach(btn => btn.addEventListener('click', () => closeModal(editModal)));
 
 // Add new
-if (addBtn && isAdmin) addBtn.addEventListener('click', () => openEditModal());
+if (addBtn) addBtn.addEventListener('click', () => openEditModal());
 
-// show small admin status / logout link in nav when logged in
-if (isAdmin) {
-    const nav = document.querySelector('.nav-links');
-    if (nav) {
-        const li = document.createElement('li');
-        const a = document.createElement('a');
-        a.href = '#'; a.textContent = 'Admin: Logout'; a.id = 'adminLogout';
-        a.addEventListener('click', (ev) => { ev.preventDefault(); sessionStorage.removeItem('isAdmin'); location.reload(); });
-        li.appendChild(a);
-        nav.appendChild(li);
+// Fetch JSON from an admin-only endpoint; a 401 means the session is gone
+async function adminFetch(url, options = {}){
+    const res = await fetch(url, {
+        credentials: 'same-origin',
+        ...options,
+        // FormData bodies set their own multipart Content-Type
+        headers: typeof options.body === 'string' ? { 'Content-Type': 'application/json', ...(options.headers || {}) } : options.headers
+    });
+    const data = await res.json().catch(() => ({}));
+    if (res.status === 401) checkAdminSession();
+    return { ok: res.ok, status: res.status, data };
+}
+
+// ============================================
+// CONFLICT RESOLUTION (admin)
+// ============================================
+// Opens when the server refuses an edit because another admin saved the listing first.
+// "Keep mine" re-sends our copy over theirs, "Take theirs" drops our edit and "Merge
+// selected" takes each differing field from the side ticked in the table. Fields we
+// changed (compared with the listing before our edit) start ticked as ours.
+const conflictModal = document.getElementById('conflictModal');
+// Editable listing fields with display labels (also used by the revision history)
+const LISTING_FIELDS = [
+    { name: 'title', label: 'Title' },
+    { name: 'description', label: 'Description' },
+    { name: 'location', label: 'Location' },
+    { name: 'locationDetails', label: 'Location details' },
+    { name: 'beds', label: 'Bedrooms' },
+    { name: 'baths', label: 'Bathrooms' },
+    { name: 'mainImage', label: 'Cover image' },
+    { name: 'gallery', label: 'Gallery' },
+    { name: 'captions', label: 'Captions' },
+    { name: 'amenities', label: 'Amenities' },
+    { name: 'locations', label: 'Nearby locations' },
+    { name: 'pricing', label: 'Pricing' },
+    { name: 'status', label: 'Status' },
+    { name: 'publishAt', label: 'Publish at' }
+];
+const conflictQueue = [];
+let activeConflict = null;
+
+// Missing, empty lists and empty objects all count as "no value"
+function sameValue(a, b){
+    const norm = v => (v == null || (typeof v === 'object' && !Object.keys(v).length) ? null : v);
+    return JSON.stringify(norm(a)) === JSON.stringify(norm(b));
+}
+
+// Short display form of a field value: text, or an element for images
+function describeFieldValue(name, value){
+    if (value == null || value === '' || (Array.isArray(value) && !value.length)) return '—';
+    if (name === 'status') return ListingSchema.STATUS_LABELS[value] || value;
+    if (name === 'publishAt') return new Date(value).toLocaleString();
+    if (name === 'mainImage') return el('img', {src: thumbnailSrc(value), class: 'conflict-thumb', alt: 'Cover image'});
+    if (name === 'gallery') return `${value.length} photo${value.length !== 1 ? 's' : ''}`;
+    if (name === 'captions') return Object.values(value).join(', ') || '—';
+    if (name === 'pricing') return value.map(u => `${u.title} (${ListingPricing.formatPeso(u.totalPrice)})`).join(', ');
+    const text = Array.isArray(value) ? value.join(', ') : String(value);
+    return text.length > 160 ? text.slice(0, 157) + '…' : text;
+}
+
+// mine: the write the server refused; theirs: the server's current copy
+function resolveConflict(mine, theirs, base){
+    const existing = conflictQueue.findIndex(c => c.mine.id === mine.id);
+    if (existing !== -1) conflictQueue.splice(existing, 1);
+    conflictQueue.push({ mine, theirs, base });
+    if (!activeConflict) showNextConflict();
+}
+
+function showNextConflict(){
+    activeConflict = conflictQueue.shift() || null;
+    if (!activeConflict) { closeModal(conflictModal); return; }
+    const { mine, theirs, base } = activeConflict;
+    const differing = LISTING_FIELDS.filter(f => !sameValue(mine[f.name], theirs[f.name]));
+    // Both sides ended up the same: nothing to ask
+    if (!differing.length) { finishConflict(null); return; }
+
+    document.getElementById('conflictListingTitle').textContent = theirs.title || mine.title;
+    const savedAt = theirs.updatedAt ? ` on ${new Date(theirs.updatedAt).toLocaleString()}` : '';
+    document.getElementById('conflictMeta').textContent = `Their version ${theirs.version || '?'} was saved${savedAt}.`;
+    const rows = document.getElementById('conflictFields');
+    rows.innerHTML = '';
+    differing.forEach(field => {
+        const changedByMe = !base || !sameValue(mine[field.name], base[field.name]);
+        const row = el('tr', {'data-field': field.name}, [el('th', {}, [field.label])]);
+        [['mine', mine], ['theirs', theirs]].forEach(([side, listing]) => {
+            const radio = el('input', {type: 'radio', name: `conflict-${field.name}`, value: side});
+            radio.checked = (side === 'mine') === changedByMe;
+            row.appendChild(el('td', {}, [el('label', {class: 'conflict-choice'}, [radio, describeFieldValue(field.name, listing[field.name])])]));
+        });
+        rows.appendChild(row);
+    });
+    openModal(conflictModal);
+}
+
+// resolved: the listing to save on top of theirs, or null to take theirs as-is
+function finishConflict(resolved){
+    const { theirs } = activeConflict;
+    let listing = theirs;
+    if (resolved) {
+        const { valid, errors, value } = ListingSchema.validateListing({ ...resolved, version: theirs.version });
+        if (!valid) { showNotification(`❌ ${ListingSchema.formatErrors(errors)}`, 'error'); return; }
+        listing = value;
+    }
+    const idx = listings.findIndex(l => l.id === listing.id);
+    if (idx !== -1) listings[idx] = listing; else listings.unshift(listing);
+    saveListings();
+    renderListings();
+    if (resolved) queueUpdate('listing-updated', listing, theirs);
+    showNextConflict();
+}
+
+document.getElementById('conflictKeepMine').addEventListener('click', () => finishConflict(activeConflict.mine));
+document.getElementById('conflictTakeTheirs').addEventListener('click', () => finishConflict(null));
+document.getElementById('conflictMerge').addEventListener('click', () => {
+    const { mine, theirs } = activeConflict;
+    const merged = { ...theirs };
+    document.querySelectorAll('#conflictFields tr').forEach(row => {
+        const field = row.getAttribute('data-field');
+        const choice = row.querySelector('input:checked');
+        if (choice && choice.value === 'mine') merged[field] = mine[field];
+    });
+    finishConflict(merged);
+});
+
+// ============================================
+// REVISION HISTORY (admin, edit modal)
+// ============================================
+// Every server-side write of a listing is recorded with who made it and what changed;
+// any earlier revision can be restored (saved as a new version).
+const historyPanel = document.getElementById('historyPanel');
+const REVISION_ACTIONS = {
+    created: 'Created',
+    updated: 'Updated',
+    reverted: 'Reverted',
+    published: 'Published on schedule',
+    deleted: 'Moved to trash',
+    restored: 'Restored',
+    purged: 'Deleted forever'
+};
+
+function resetHistoryPanel(id){
+    historyPanel.hidden = !id;
+    historyPanel.open = false;
+    historyPanel.setAttribute('data-id', id || '');
+    document.getElementById('historyList').innerHTML = '';
+}
+
+async function loadListingHistory(id){
+    const list = document.getElementById('historyList');
+    list.textContent = 'Loading…';
+    const { ok, data } = await adminFetch(`/api/listings/${encodeURIComponent(id)}/history`);
+    if (historyPanel.getAttribute('data-id') !== id) return;
+    if (!ok) { list.textContent = data.error || 'Could not load history'; return; }
+    renderListingHistory(id, data);
+}
+
+function renderListingHistory(id, revisions){
+    const list = document.getElementById('historyList');
+    list.innerHTML = '';
+    if (!revisions.length) {
+        list.appendChild(el('li', {class: 'no-results'}, ['No recorded changes yet.']));
+        return;
+    }
+    revisions.forEach((rev, i) => {
+        const heading = `${rev.version ? `v${rev.version} · ` : ''}${REVISION_ACTIONS[rev.action] || rev.action}`
+            + `${rev.revertedTo ? ` to v${rev.revertedTo}` : ''} by ${rev.actor} · ${new Date(rev.at).toLocaleString()}`;
+        const item = el('li', {class: 'history-item'}, [el('div', {class: 'lead-meta'}, [heading])]);
+        if (rev.changes && rev.changes.length) {
+            const changes = el('ul', {class: 'history-changes'});
+            rev.changes.forEach(change => {
+                const field = LISTING_FIELDS.find(f => f.name === change.field);
+                changes.appendChild(el('li', {}, [
+                    `${field ? field.label : change.field}: `,
+                    describeFieldValue(change.field, change.from), ' → ', describeFieldValue(change.field, change.to)
+                ]));
+            });
+            item.appendChild(changes);
+        }
+        // The newest revision is the current state
+        if (rev.revertible && i > 0) {
+            const revertBtn = el('button', {type: 'button', class: 'details-btn'}, [`Revert to v${rev.version}`]);
+            revertBtn.addEventListener('click', () => revertListing(id, rev));
+            item.appendChild(revertBtn);
+        }
+        list.appendChild(item);
+    });
+}
+
+async function revertListing(id, revision){
+    if (!confirm(`Revert this listing to version ${revision.version}? Unsaved changes in the form are discarded.`)) return;
+    const { ok, data } = await adminFetch(`/api/listings/${encodeURIComponent(id)}/revert`, {
+        method: 'POST',
+        body: JSON.stringify({ revisionId: revision.id })
+    });
+    if (!ok) { showNotification(`❌ ${data.error || 'Revert failed'}`, 'error'); return; }
+    applyServerListing(data);
+    showNotification(`↩️  Reverted to version ${revision.version}`);
+    // Reload the form with the reverted listing and show the new history entry
+    openEditModal(id);
+    historyPanel.open = true;
+}
+
+historyPanel.addEventListener('toggle', () => {
+    const id = historyPanel.getAttribute('data-id');
+    if (historyPanel.open && id) loadListingHistory(id);
+});
+
+// ============================================
+// LISTINGS TRASH (admin)
+// ============================================
+const trashModal = document.getElementById('trashModal');
+
+async function openTrash(){
+    if (!isAdmin) return;
+    if (await loadTrash()) openModal(trashModal);
+}
+
+async function loadTrash(){
+    const { ok, data } = await adminFetch('/api/trash');
+    if (!ok) { showNotification(`❌ ${data.error || 'Could not load the trash'}`, 'error'); return false; }
+    renderTrash(data);
+    return true;
+}
+
+function refreshTrashIfOpen(){
+    if (isAdmin && trashModal.getAttribute('aria-hidden') === 'false') loadTrash();
+}
+
+function renderTrash(trashed){
+    const list = document.getElementById('trashList');
+    list.innerHTML = '';
+    if (!trashed.length) {
+        list.appendChild(el('p', {class: 'no-results'}, ['The trash is empty.']));
+        return;
+    }
+    trashed.forEach(listing => {
+        const daysLeft = Math.max(0, Math.ceil((Date.parse(listing.purgeAt) - Date.now()) / 86400000));
+        const restoreBtn = el('button', {type: 'button', class: 'cta-button'}, ['Restore']);
+        restoreBtn.addEventListener('click', () => restoreListing(listing.id));
+        const purgeBtn = el('button', {type: 'button', class: 'details-btn'}, ['Delete forever']);
+        purgeBtn.addEventListener('click', () => purgeTrashedListing(listing));
+        list.appendChild(el('div', {class: 'trash-item'}, [
+            listing.mainImage ? el('img', {src: thumbnailSrc(listing.mainImage), alt: ''}) : null,
+            el('div', {class: 'trash-info'}, [
+                el('strong', {}, [listing.title]),
+                el('div', {class: 'lead-meta'}, [`Deleted ${new Date(listing.deletedAt).toLocaleString()}${listing.deletedBy ? ` by ${listing.deletedBy}` : ''} · purged in ${daysLeft} day${daysLeft !== 1 ? 's' : ''}`])
+            ]),
+            el('div', {class: 'trash-actions'}, [restoreBtn, purgeBtn])
+        ]));
+    });
+}
+
+async function restoreListing(id){
+    const { ok, data } = await adminFetch(`/api/trash/${encodeURIComponent(id)}/restore`, { method: 'POST' });
+    if (!ok) { showNotification(`❌ ${data.error || 'Restore failed'}`, 'error'); return; }
+    // The 'restored' broadcast adds it back to the grid and refreshes this view
+    showNotification(`♻️  Restored: ${data.title}`);
+}
+
+async function purgeTrashedListing(listing){
+    if (!confirm(`Permanently delete "${listing.title}"? This cannot be undone.`)) return;
+    // Only the copy shown here: if it was restored and deleted again meanwhile, nothing is purged
+    const query = `?deletedAt=${encodeURIComponent(listing.deletedAt)}`;
+    const { ok, data } = await adminFetch(`/api/trash/${encodeURIComponent(listing.id)}${query}`, { method: 'DELETE' });
+    if (!ok) showNotification(`❌ ${data.error || 'Delete failed'}`, 'error');
+    loadTrash();
+}
+
+const trashBtn = document.getElementById('trashBtn');
+if (trashBtn) trashBtn.addEventListener('click', () => openTrash());
+document.querySelectorAll('#trashModal .modal-close').forEach(btn => btn.addEventListener('click', () => closeModal(trashModal)));
+if (trashModal) trashModal.addEventListener('click', (e) => { if (e.target === trashModal) closeModal(trashModal); });
+
+// ============================================
+// LISTINGS IMPORT / EXPORT (admin)
+// ============================================
+// The export links download from /api/listings/export (the session cookie authorizes
+// them). A chosen file is parsed here, CSV via lib/listing-csv.js or a JSON export, and
+// sent to the server as a dry run to fill the preview; "Import" sends it for real.
+const importModal = document.getElementById('importModal');
+const importFile = document.getElementById('importFile');
+const importConfirmBtn = document.getElementById('importConfirmBtn');
+const IMPORT_ACTIONS = { create: 'New', update: 'Update', skip: 'Skipped' };
+// { listings, labels, unmapped } of the file shown in the preview
+let pendingImport = null;
+
+function openImport(){
+    if (!isAdmin) return;
+    resetImport();
+    openModal(importModal);
+}
+
+function resetImport(){
+    pendingImport = null;
+    importFile.value = '';
+    document.getElementById('importPreview').innerHTML = '';
+    document.getElementById('importSummary').hidden = true;
+    importConfirmBtn.hidden = true;
+}
+
+// labels[i] names listing i in the preview: its CSV line or its position in the JSON list
+function parseImportFile(name, text){
+    if (/\.json$/i.test(name) || /^\s*[[{]/.test(text)) {
+        const parsed = JSON.parse(text);
+        const list = Array.isArray(parsed) ? parsed : parsed && parsed.listings;
+        if (!Array.isArray(list)) throw new Error('JSON must be a list of listings');
+        return { listings: list, labels: list.map((l, i) => `#${i + 1}`), unmapped: [] };
+    }
+    const { listings: rows, unmapped } = ListingCsv.csvToListings(text);
+    return { listings: rows.map(r => r.listing), labels: rows.map(r => `Line ${r.line}`), unmapped };
+}
+
+async function previewImport(file){
+    let parsed;
+    try {
+        parsed = parseImportFile(file.name, await file.text());
+    } catch (err) {
+        showNotification(`❌ Could not read ${file.name}: ${err.message}`, 'error');
+        return;
+    }
+    if (!parsed.listings.length) { showNotification(`❌ No listings found in ${file.name}`, 'error'); return; }
+    const { ok, data } = await adminFetch('/api/listings/import', { method: 'POST', body: JSON.stringify({ listings: parsed.listings, dryRun: true }) });
+    if (!ok) { showNotification(`❌ ${data.error || 'Could not check the file'}`, 'error'); return; }
+    pendingImport = parsed;
+    renderImportPreview(data);
+}
+
+function renderImportPreview(report){
+    const summary = document.getElementById('importSummary');
+    const parts = [`${report.created} new`, `${report.updated} to update`, `${report.skipped} skipped`];
+    if (pendingImport.unmapped.length) parts.push(`ignored columns: ${pendingImport.unmapped.join(', ')}`);
+    summary.textContent = (report.dryRun ? 'Preview: ' : 'Imported: ') + parts.join(' · ');
+    summary.hidden = false;
+
+    const rows = report.results.map(result => el('tr', {class: result.action}, [
+        el('td', {}, [pendingImport.labels[result.index]]),
+        el('td', {}, [result.title || '—']),
+        el('td', {}, [IMPORT_ACTIONS[result.action]]),
+        el('td', {}, [result.errors.length ? el('ul', {}, result.errors.map(e => el('li', {}, [ListingSchema.formatErrors([e])]))) : ''])
+    ]));
+    const preview = document.getElementById('importPreview');
+    preview.innerHTML = '';
+    preview.appendChild(el('table', {class: 'import-table'}, [
+        el('thead', {}, [el('tr', {}, ['Row', 'Title', 'Action', 'Problems'].map(h => el('th', {}, [h])))]),
+        el('tbody', {}, rows)
+    ]));
+
+    const count = report.created + report.updated;
+    importConfirmBtn.hidden = !report.dryRun || count === 0;
+    importConfirmBtn.textContent = `Import ${count} listing${count !== 1 ? 's' : ''}`;
+}
+
+async function confirmImport(){
+    if (!pendingImport) return;
+    importConfirmBtn.disabled = true;
+    const { ok, data } = await adminFetch('/api/listings/import', { method: 'POST', body: JSON.stringify({ listings: pendingImport.listings }) });
+    importConfirmBtn.disabled = false;
+    if (!ok) { showNotification(`❌ ${data.error || 'Import failed'}`, 'error'); return; }
+    // The listing-changes broadcast brings the imported listings into the grid
+    renderImportPreview(data);
+    showNotification(`📥 Imported ${data.created} new and ${data.updated} updated listing${data.created + data.updated !== 1 ? 's' : ''}`);
+}
+
+const importBtn = document.getElementById('importBtn');
+if (importBtn) importBtn.addEventListener('click', () => openImport());
+if (importFile) importFile.addEventListener('change', () => { if (importFile.files[0]) previewImport(importFile.files[0]); });
+if (importConfirmBtn) importConfirmBtn.addEventListener('click', () => confirmImport());
+document.querySelectorAll('#importModal .modal-close').forEach(btn => btn.addEventListener('click', () => closeModal(importModal)));
+if (importModal) importModal.addEventListener('click', (e) => { if (e.target === importModal) closeModal(importModal); });
+
+// ============================================
+// LEADS INBOX (admin)
+// ============================================
+const leadsModal = document.getElementById('leadsModal');
+let adminLeads = [];
+let leadsLoaded = false;
+
+async function openLeadsInbox(){
+    if (!isAdmin) return;
+    const { ok, data } = await adminFetch('/api/leads');
+    if (!ok) { showNotification(`❌ ${data.error || 'Could not load leads'}`, 'error'); return; }
+    adminLeads = data;
+    leadsLoaded = true;
+    renderLeadFilters();
+    renderLeads();
+    openModal(leadsModal);
+}
+
+function upsertAdminLead(lead){
+    if (!leadsLoaded) return;
+    const idx = adminLeads.findIndex(l => l.id === lead.id);
+    if (idx === -1) adminLeads.unshift(lead);
+    else adminLeads[idx] = lead;
+    if (leadsModal.getAttribute('aria-hidden') === 'false') renderLeads();
+}
+
+// Count of leads that arrived while the inbox was closed
+let unseenLeadCount = 0;
+function renderNewLeadsBadge(){
+    const badge = document.getElementById('newLeadsBadge');
+    if (!badge) return;
+    badge.textContent = unseenLeadCount;
+    badge.hidden = !unseenLeadCount;
+}
+
+function renderLeadFilters(){
+    const listingSelect = document.getElementById('leadsListingFilter');
+    const statusSelect = document.getElementById('leadsStatusFilter');
+    const selectedListing = listingSelect.value;
+    const selectedStatus = statusSelect.value;
+
+    listingSelect.innerHTML = '';
+    listingSelect.appendChild(el('option', {value: ''}, ['All listings']));
+    const titles = new Map();
+    adminLeads.forEach(l => titles.set(l.listingId, l.listingTitle));
+    listings.forEach(l => titles.set(l.id, l.title));
+    titles.forEach((title, id) => listingSelect.appendChild(el('option', {value: id}, [title || id])));
+    listingSelect.value = selectedListing;
+
+    statusSelect.innerHTML = '';
+    statusSelect.appendChild(el('option', {value: ''}, ['All statuses']));
+    LeadSchema.LEAD_STATUSES.forEach(st => statusSelect.appendChild(el('option', {value: st}, [LeadSchema.STATUS_LABELS[st]])));
+    statusSelect.value = selectedStatus;
+}
+
+function filteredLeads(){
+    const listingId = document.getElementById('leadsListingFilter').value;
+    const status = document.getElementById('leadsStatusFilter').value;
+    const from = document.getElementById('leadsFromFilter').value;
+    const to = document.getElementById('leadsToFilter').value;
+    return adminLeads.filter(lead => {
+        const created = new Date(lead.createdAt);
+        if (listingId && lead.listingId !== listingId) return false;
+        if (status && lead.status !== status) return false;
+        if (from && created < new Date(`${from}T00:00`)) return false;
+        if (to && created > new Date(`${to}T23:59:59.999`)) return false;
+        return true;
+    });
+}
+
+function renderLeads(){
+    const container = document.getElementById('leadsList');
+    container.innerHTML = '';
+    const visible = filteredLeads();
+    if (!visible.length) {
+        container.appendChild(el('p', {class: 'no-results'}, ['No leads match these filters.']));
+        return;
+    }
+
+    // group per property, newest first inside each group
+    const groups = new Map();
+    visible.forEach(lead => {
+        if (!groups.has(lead.listingId)) groups.set(lead.listingId, []);
+        groups.get(lead.listingId).push(lead);
+    });
+    groups.forEach((group, listingId) => {
+        const listing = listings.find(l => l.id === listingId);
+        const section = el('div', {class: 'leads-group'}, [el('h4', {}, [`${listing ? listing.title : group[0].listingTitle} (${group.length})`])]);
+        group.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt)).forEach(lead => section.appendChild(renderLeadCard(lead)));
+        container.appendChild(section);
+    });
+}
+
+function renderLeadCard(lead){
+    const card = el('div', {class: `lead-card status-${lead.status}`});
+    const statusSelect = el('select', {'aria-label': 'Lead status'}, LeadSchema.LEAD_STATUSES.map(st => el('option', {value: st}, [LeadSchema.STATUS_LABELS[st]])));
+    statusSelect.value = lead.status;
+    statusSelect.addEventListener('change', () => updateLead(lead.id, { status: statusSelect.value }));
+
+    card.appendChild(el('div', {class: 'lead-header'}, [el('strong', {}, [lead.name]), statusSelect]));
+
+    const contact = el('div', {class: 'lead-meta'});
+    if (lead.phone) contact.appendChild(el('a', {href: `tel:${lead.phone.replace(/[^\d+]/g, '')}`}, [`📞 ${lead.phone}`]));
+    if (lead.phone && lead.email) contact.appendChild(document.createTextNode(' · '));
+    if (lead.email) contact.appendChild(el('a', {href: `mailto:${lead.email}`}, [`✉️ ${lead.email}`]));
+    card.appendChild(contact);
+
+    const when = (lead.preferredSlots || []).map(s => new Date(s).toLocaleString()).join(' / ');
+    card.appendChild(el('div', {class: 'lead-meta'}, [`Preferred: ${when || '—'}${lead.pricingUnit ? ` · Unit: ${lead.pricingUnit}` : ''}`]));
+    card.appendChild(el('div', {class: 'lead-meta'}, [`Received ${new Date(lead.createdAt).toLocaleString()}`]));
+    if (lead.message) card.appendChild(el('p', {class: 'description'}, [lead.message]));
+
+    const notes = el('ul', {class: 'lead-notes'});
+    (lead.notes || []).forEach(n => notes.appendChild(el('li', {}, [`${n.text} — ${n.author}, ${new Date(n.createdAt).toLocaleString()}`])));
+    card.appendChild(notes);
+
+    const noteInput = el('input', {type: 'text', placeholder: 'Add a note…', 'aria-label': 'Add a note'});
+    const noteBtn = el('button', {type: 'submit', class: 'details-btn'}, ['Add note']);
+    const noteForm = el('form', {class: 'lead-note-form'}, [noteInput, noteBtn]);
+    noteForm.addEventListener('submit', (e) => {
+        e.preventDefault();
+        if (noteInput.value.trim()) updateLead(lead.id, { note: noteInput.value });
+    });
+    card.appendChild(noteForm);
+    return card;
+}
+
+async function updateLead(id, changes){
+    const { ok, data } = await adminFetch(`/api/leads/${encodeURIComponent(id)}`, { method: 'PATCH', body: JSON.stringify(changes) });
+    if (!ok) {
+        showNotification(`❌ ${data.error || 'Could not update lead'}`, 'error');
+        renderLeads();
+        return;
+    }
+    upsertAdminLead(data);
+}
+
+const leadsBtn = document.getElementById('leadsBtn');
+if (leadsBtn) leadsBtn.addEventListener('click', () => {
+    unseenLeadCount = 0;
+    renderNewLeadsBadge();
+    openLeadsInbox();
+});
+['leadsListingFilter', 'leadsStatusFilter', 'leadsFromFilter', 'leadsToFilter'].forEach(id => {
+    document.getElementById(id).addEventListener('change', renderLeads);
+});
+document.querySelectorAll('#leadsModal .modal-close').forEach(btn => btn.addEventListener('click', () => closeModal(leadsModal)));
+if (leadsModal) leadsModal.addEventListener('click', (e) => { if (e.target === leadsModal) closeModal(leadsModal); });
+
+// ============================================
+// LISTING ANALYTICS (admin)
+// ============================================
+// Totals, a daily chart and per-listing counts for a range of UTC days from /api/analytics
+// (see ANALYTICS above for what is counted); the export link downloads the same range as CSV
+const analyticsModal = document.getElementById('analyticsModal');
+const ANALYTICS_LABELS = {
+    impressions: 'Card impressions',
+    detailViews: 'Details opened',
+    imageViews: 'Gallery images viewed',
+    tabViews: 'Tab switches',
+    inquiries: 'Showing requests'
+};
+let analyticsData = null;
+
+// The last `days` days up to today
+function setAnalyticsRange(days){
+    const DAY_MS = 24 * 60 * 60 * 1000;
+    document.getElementById('analyticsTo').value = new Date().toISOString().slice(0, 10);
+    document.getElementById('analyticsFrom').value = new Date(Date.now() - (days - 1) * DAY_MS).toISOString().slice(0, 10);
+}
+
+async function loadAnalytics(){
+    const params = new URLSearchParams({ from: document.getElementById('analyticsFrom').value, to: document.getElementById('analyticsTo').value });
+    document.getElementById('analyticsExport').href = `/api/analytics/export?${params}`;
+    const { ok, data } = await adminFetch(`/api/analytics?${params}`);
+    if (!ok) { showNotification(`❌ ${data.error || 'Could not load analytics'}`, 'error'); return false; }
+    analyticsData = data;
+    renderAnalytics();
+    return true;
+}
+
+async function openAnalytics(){
+    if (!isAdmin) return;
+    if (!document.getElementById('analyticsFrom').value) setAnalyticsRange(30);
+    if (await loadAnalytics()) openModal(analyticsModal);
+}
+
+function renderAnalytics(){
+    const { totals, days, listings: rows } = analyticsData;
+    const metrics = Object.keys(ANALYTICS_LABELS);
+
+    const totalsBox = document.getElementById('analyticsTotals');
+    totalsBox.innerHTML = '';
+    metrics.forEach(key => totalsBox.appendChild(el('div', {class: 'analytics-total'}, [el('strong', {}, [String(totals[key])]), el('span', {}, [ANALYTICS_LABELS[key]])])));
+    const tabs = DETAILS_TABS.filter(tab => totals.tabs[tab]).map(tab => `${tab[0].toUpperCase()}${tab.slice(1)} ${totals.tabs[tab]}`);
+    if (tabs.length) totalsBox.appendChild(el('p', {class: 'lead-meta'}, [`Tabs opened: ${tabs.join(' · ')}`]));
+
+    const metric = document.getElementById('analyticsMetric').value;
+    const chart = document.getElementById('analyticsChart');
+    chart.innerHTML = '';
+    const peak = Math.max(1, ...days.map(d => d[metric]));
+    days.forEach(d => chart.appendChild(el('div', {
+        class: 'analytics-bar',
+        style: `height:${(d[metric] / peak) * 100}%`,
+        title: `${d.day}: ${d[metric]} ${ANALYTICS_LABELS[metric].toLowerCase()}`
+    })));
+
+    const container = document.getElementById('analyticsListings');
+    container.innerHTML = '';
+    if (!rows.length) {
+        container.appendChild(el('p', {class: 'no-results'}, ['No activity in this range.']));
+        return;
     }
+    const columnPeaks = {};
+    metrics.forEach(key => { columnPeaks[key] = Math.max(1, ...rows.map(r => r[key])); });
+    const table = el('table', {class: 'import-table'}, [
+        el('thead', {}, [el('tr', {}, [el('th', {}, ['Listing'])].concat(metrics.map(key => el('th', {}, [ANALYTICS_LABELS[key]]))))])
+    ]);
+    const tbody = el('tbody');
+    rows.forEach(row => tbody.appendChild(el('tr', {}, [el('td', {}, [row.title])].concat(metrics.map(key => el('td', {}, [
+        String(row[key]),
+        el('div', {class: 'analytics-cell-bar', style: `width:${(row[key] / columnPeaks[key]) * 100}%`})
+    ]))))));
+    table.appendChild(tbody);
+    container.appendChild(table);
+}
+
+const analyticsMetric = document.getElementById('analyticsMetric');
+Object.entries(ANALYTICS_LABELS).forEach(([key, label]) => analyticsMetric.appendChild(el('option', {value: key}, [label])));
+analyticsMetric.value = 'detailViews';
+analyticsMetric.addEventListener('change', () => { if (analyticsData) renderAnalytics(); });
+
+const analyticsBtn = document.getElementById('analyticsBtn');
+if (analyticsBtn) analyticsBtn.addEventListener('click', openAnalytics);
+document.getElementById('analyticsRange').addEventListener('change', (e) => {
+    if (e.target.value === 'custom') return;
+    setAnalyticsRange(Number(e.target.value));
+    loadAnalytics();
+});
+['analyticsFrom', 'analyticsTo'].forEach(id => document.getElementById(id).addEventListener('change', () => {
+    document.getElementById('analyticsRange').value = 'custom';
+    loadAnalytics();
+}));
+document.querySelectorAll('#analyticsModal .modal-close').forEach(btn => btn.addEventListener('click', () => closeModal(analyticsModal)));
+if (analyticsModal) analyticsModal.addEventListener('click', (e) => { if (e.target === analyticsModal) closeModal(analyticsModal); });
+
+// ============================================
+// SCHEDULE A SHOWING (lead capture)
+// ============================================
+const bookingModal = document.getElementById('bookingModal');
+const BOOKING_FIELD_INPUTS = { name: 'bookingName', phone: 'bookingPhone', email: 'bookingEmail', message: 'bookingMessage', pricingUnit: 'bookingUnit' };
+
+function openBookingModal(listingId){
+    const listing = listings.find(l => l.id === listingId);
+    if (!listing) return;
+    const form = document.getElementById('bookingForm');
+    form.reset();
+    renderBookingErrors([]);
+    document.getElementById('bookingListingId').value = listing.id;
+    document.getElementById('bookingListingTitle').textContent = listing.title;
+
+    const unitSelect = document.getElementById('bookingUnit');
+    unitSelect.innerHTML = '';
+    unitSelect.appendChild(el('option', {value: ''}, ['Any / not sure yet']));
+    getPricingUnits(listing).forEach(u => unitSelect.appendChild(el('option', {value: u.title}, [u.title])));
+    unitSelect.closest('.form-row').hidden = unitSelect.options.length === 1;
+
+    // datetime-local expects local time without a zone; no slots in the past
+    const now = toLocalInputValue(new Date());
+    document.querySelectorAll('#bookingForm .booking-slot').forEach(input => { input.min = now; });
+    openModal(bookingModal);
+    document.getElementById('bookingName').focus();
+}
+
+function renderBookingErrors(errors){
+    const box = document.getElementById('bookingErrors');
+    const slots = document.querySelectorAll('#bookingForm .booking-slot');
+    document.querySelectorAll('#bookingForm .input-error').forEach(n => n.classList.remove('input-error'));
+    box.innerHTML = '';
+    box.hidden = !errors || !errors.length;
+    if (box.hidden) return;
+
+    const list = el('ul');
+    errors.forEach(err => {
+        list.appendChild(el('li', {}, [err.message]));
+        const slot = err.field.match(/^preferredSlots\[(\d+)\]/);
+        const input = slot ? slots[Number(slot[1])] : document.getElementById(BOOKING_FIELD_INPUTS[err.field]);
+        if (input) input.classList.add('input-error');
+    });
+    box.appendChild(list);
 }
 
+document.getElementById('bookingForm').addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const submitBtn = e.target.querySelector('button[type="submit"]');
+    const lead = {
+        listingId: document.getElementById('bookingListingId').value,
+        name: document.getElementById('bookingName').value,
+        phone: document.getElementById('bookingPhone').value,
+        email: document.getElementById('bookingEmail').value,
+        message: document.getElementById('bookingMessage').value,
+        pricingUnit: document.getElementById('bookingUnit').value,
+        // datetime-local values are local time; send them as absolute instants
+        preferredSlots: Array.from(document.querySelectorAll('#bookingForm .booking-slot'))
+            .map(input => input.value ? new Date(input.value).toISOString() : '')
+            .filter(Boolean),
+        website: document.getElementById('bookingWebsite').value
+    };
+
+    const { valid, errors } = LeadSchema.validateLead(lead);
+    if (!valid) { renderBookingErrors(errors); return; }
+
+    submitBtn.disabled = true;
+    try {
+        const res = await fetch('/api/leads', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(lead)
+        });
+        const data = await res.json().catch(() => ({}));
+        if (!res.ok) {
+            renderBookingErrors(data.errors || [{ field: '', message: data.error || 'Could not send your request' }]);
+            return;
+        }
+        closeModal(bookingModal);
+        showNotification('✅ Thank you! Atheni will contact you to confirm your showing.');
+    } catch (err) {
+        renderBookingErrors([{ field: '', message: 'Could not reach the server. Please call +639088878040 or email atheni@realestate.com.' }]);
+    } finally {
+        submitBtn.disabled = false;
+    }
+});
+
+document.querySelectorAll('#bookingModal .modal-close, #cancelBooking').forEach(btn => btn.addEventListener('click', () => closeModal(bookingModal)));
+if (bookingModal) bookingModal.addEventListener('click', (e) => { if (e.target === bookingModal) closeModal(bookingModal); });
+
 // Details modal logic (dynamic)
 let currentGallery = [];
+let currentCaptions = {};
 let currentIndex = 0;
 const modalImage = document.getElementById('modalImage');
+const modalCaption = document.getElementById('modalCaption');
 const thumbsContainer = document.querySelector('.modal-thumbs');
 const modalPrev = document.querySelector('.modal-prev');
 const modalNext = document.querySelector('.modal-next');
 const modalCloseBtns = document.querySelectorAll('#detailsModal .modal-close');
 
-function openDetailsModal(id){
+// ============================================
+// DEEP LINKS (/listing/:id?tab=pricing&image=2)
+// ============================================
+// server.js serves index.html with Open Graph tags on /listing/:id; the client opens
+// the details modal from the path and keeps the URL in step with tab and gallery index
+const DETAILS_TABS = ['gallery', 'info', 'amenities', 'pricing', 'calculator'];
+let currentDetailsId = null;
+let currentDetailsTab = 'gallery';
+let detailsReturnUrl = '/';
+let pendingListingRoute = parseListingRoute();
+
+function parseListingRoute(){
+    const match = location.pathname.match(/^\/listing\/([^/]+)\/?$/);
+    if (!match) return null;
+    const params = new URLSearchParams(location.search);
+    return {
+        id: decodeURIComponent(match[1]),
+        tab: DETAILS_TABS.includes(params.get('tab')) ? params.get('tab') : 'gallery',
+        image: Math.max(0, parseInt(params.get('image'), 10) || 0)
+    };
+}
+
+function listingUrl(id, tab, image){
+    const params = new URLSearchParams();
+    if (tab && tab !== 'gallery') params.set('tab', tab);
+    if (image) params.set('image', image);
+    const query = params.toString();
+    return `/listing/${encodeURIComponent(id)}${query ? '?' + query : ''}`;
+}
+
+function updateDetailsUrl(){
+    if (!currentDetailsId) return;
+    history.replaceState(history.state, '', listingUrl(currentDetailsId, currentDetailsTab, currentIndex));
+}
+
+// Open the listing named in the URL once listings are loaded; `final` means the server
+// list has arrived, so a missing listing really does not exist
+function openPendingListingRoute(final){
+    if (!pendingListingRoute) return;
+    const route = pendingListingRoute;
+    if (listings.find(l => l.id === route.id && canViewListing(l))) {
+        pendingListingRoute = null;
+        openDetailsModal(route.id, { tab: route.tab, image: route.image, fromUrl: true });
+    } else if (final) {
+        pendingListingRoute = null;
+        history.replaceState(null, '', '/');
+        showNotification('⚠️ That listing is no longer available', 'error');
+    }
+}
+
+function openDetailsModal(id, options = {}){
     const listing = listings.find(l => l.id === id);
-    if (!listing) return;
+    if (!listing || !canViewListing(listing)) return;
     currentGallery = (listing.gallery && listing.gallery.length)? listing.gallery.slice() : (listing.mainImage? [listing.mainImage]:[]);
-    currentIndex = 0;
+    currentCaptions = listing.captions || {};
+    currentIndex = Math.min(options.image || 0, Math.max(0, currentGallery.length - 1));
     renderDetailsContent(listing);
+    setDetailsTab(options.tab || 'gallery');
+
+    if (!options.fromUrl) {
+        detailsReturnUrl = currentDetailsId ? detailsReturnUrl : location.pathname + location.search + location.hash;
+        history.pushState({ listingId: id }, '', listingUrl(id, currentDetailsTab, currentIndex));
+    }
+    if (currentDetailsId !== id) trackEvent('detail-view', id);
+    currentDetailsId = id;
     openModal(detailsModal);
 }
 
+function closeDetailsModal(){
+    closeModal(detailsModal);
+    if (!currentDetailsId) return;
+    currentDetailsId = null;
+    // Step back over our own history entry; a landing deep link has none to return to
+    if (history.state && history.state.listingId) history.back();
+    else history.replaceState(null, '', detailsReturnUrl.startsWith('/listing/') ? '/' : detailsReturnUrl);
+}
+
+// Sync the modal with the URL after back/forward navigation
+function routeFromUrl(){
+    const route = parseListingRoute();
+    if (route && listings.find(l => l.id === route.id)) {
+        openDetailsModal(route.id, { tab: route.tab, image: route.image, fromUrl: true });
+    } else if (currentDetailsId) {
+        currentDetailsId = null;
+        closeModal(detailsModal);
+    }
+}
+
+async function shareCurrentListing(){
+    if (!currentDetailsId) return;
+    const listing = listings.find(l => l.id === currentDetailsId);
+    const url = location.origin + listingUrl(currentDetailsId, currentDetailsTab, currentIndex);
+    try {
+        if (navigator.share) {
+            await navigator.share({ title: listing ? listing.title : document.title, url });
+        } else {
+            await navigator.clipboard.writeText(url);
+            showNotification('🔗 Link copied to clipboard');
+        }
+    } catch (err) {
+        if (err && err.name !== 'AbortError') prompt('Copy this link:', url);
+    }
+}
+
 function renderDetailsContent(listing){
     // set main image
     modalImage.src = currentGallery[currentIndex] || listing.mainImage || '';
+    showGalleryCaption();
     // thumbs
     thumbsContainer.innerHTML = '';
     currentGallery.forEach((src, i) => {
-        const t = el('img',{class:'thumb','data-src':src,src,alt:'thumb'});
-        t.addEventListener('click', () => { currentIndex = i; modalImage.src = src; updateActiveThumb(); });
+        const t = el('img',{class:'thumb','data-src':src,src: thumbnailSrc(src),alt: currentCaptions[src] || 'thumb',loading:'lazy'});
+        t.addEventListener('click', () => showGalleryImage(i));
         thumbsContainer.appendChild(t);
     });
     updateActiveThumb();
@@ -659,58 +2422,234 @@ function renderDetailsContent(listing){
 
     const pricingContent = document.getElementById('pricingContent');
     if (listing.pricing && listing.pricing.length && typeof listing.pricing[0] === 'object') {
-        // structured pricing units
-        let pricingHtml = '<h4>RFO UNITS - SAMPLE COMPUTATION</h4>';
-        listing.pricing.forEach(unit => {
-            pricingHtml += `<div class="unit-pricing"><h5>${unit.title || ''}</h5><p class="unit-type">${unit.type || ''}</p><ul class="pricing-list">`;
-            (unit.items || []).forEach(item => {
-                pricingHtml += `<li>${item}</li>`;
-            });
-            pricingHtml += `</ul></div>`;
-        });
-        pricingContent.innerHTML = pricingHtml;
+        // structured pricing units: sample computation derived from the numeric terms
+        pricingContent.innerHTML = '<h4>RFO UNITS - SAMPLE COMPUTATION</h4>';
+        getPricingUnits(listing).forEach(unit => pricingContent.appendChild(renderPricingComputation(unit)));
     } else {
         pricingContent.innerHTML = (listing.pricing && listing.pricing.length)? `<ul class="pricing-list">${listing.pricing.map(p=>`<li>${p}</li>`).join('')}</ul>` : '<p>No pricing details.</p>';
     }
 
+    renderCalculator(listing);
+
     // prev/next wiring
 }
 
+// Mortgage / amortization calculator (Calculator tab)
+const DEFAULT_INTEREST_RATE = 7; // % per year, typical bank housing loan
+const DEFAULT_LOAN_YEARS = 20;
+let currentSchedule = [];
+
+function renderCalculator(listing){
+    const container = document.getElementById('calculatorContent');
+    container.innerHTML = '';
+    currentSchedule = [];
+    const units = getPricingUnits(listing).filter(u => u.totalPrice > 0);
+    if (!units.length) {
+        container.appendChild(el('p', {}, ['No priced units available for this listing.']));
+        return;
+    }
+
+    const numberInput = (value, attrs) => { const i = el('input', {type: 'number', min: '0', step: 'any', ...attrs}); i.value = value; return i; };
+    const unitSelect = el('select', {}, units.map((u, i) => el('option', {value: String(i)}, [u.title || `Unit ${i + 1}`])));
+    const dpInput = numberInput('', {max: '100'});
+    const dpMonthsInput = numberInput('', {step: '1'});
+    const rateInput = numberInput(DEFAULT_INTEREST_RATE, {max: '100'});
+    const yearsInput = numberInput(DEFAULT_LOAN_YEARS, {min: '1', max: '50', step: '1'});
+    const results = el('table', {class: 'computation-table'});
+    const scheduleWrap = el('div', {class: 'schedule-wrap', hidden: ''});
+    const toggleBtn = el('button', {type: 'button', class: 'details-btn'}, ['Show amortization schedule']);
+    const csvBtn = el('button', {type: 'button', class: 'details-btn'}, ['Download CSV']);
+
+    // Reset the downpayment terms to the selected unit's own
+    function applyUnitDefaults(){
+        const unit = units[Number(unitSelect.value)];
+        dpInput.value = unit.downpaymentPercent != null ? unit.downpaymentPercent : 20;
+        dpMonthsInput.value = unit.downpaymentMonths != null ? unit.downpaymentMonths : 0;
+    }
+
+    function recalculate(){
+        const unit = units[Number(unitSelect.value)];
+        const dpPercent = Math.min(100, Math.max(0, Number(dpInput.value) || 0));
+        const dpMonths = Math.max(0, Math.round(Number(dpMonthsInput.value) || 0));
+        const termsChanged = dpPercent !== unit.downpaymentPercent || dpMonths !== unit.downpaymentMonths;
+        const terms = ListingPricing.computePricing({
+            ...unit,
+            downpaymentPercent: dpPercent,
+            downpaymentMonths: dpMonths,
+            bankFinancedPercent: 100 - dpPercent,
+            // a quoted monthly figure only holds for the developer's own terms
+            monthlyDownpayment: termsChanged ? null : unit.monthlyDownpayment
+        });
+        const loanMonths = Math.max(1, Math.round(Number(yearsInput.value) || DEFAULT_LOAN_YEARS)) * 12;
+        const loan = ListingPricing.amortize(terms.balanceAmount || 0, Number(rateInput.value) || 0, loanMonths);
+        currentSchedule = loan.schedule;
+
+        const peso = ListingPricing.formatPeso;
+        results.innerHTML = '';
+        [
+            ['Total Selling Price', peso(unit.totalPrice)],
+            [`${dpPercent}% Downpayment`, peso(terms.downpaymentAmount)],
+            ['Monthly Downpayment', dpMonths ? `${peso(terms.monthlyDownpayment)}/month × ${dpMonths}` : 'Lump sum'],
+            [`${100 - dpPercent}% Bank-Financed Balance`, peso(terms.balanceAmount)],
+            [`Monthly Amortization (${loanMonths / 12} yrs @ ${Number(rateInput.value) || 0}%)`, `${peso(loan.monthlyPayment)}/month`],
+            ['Total Interest', peso(loan.totalInterest)],
+            ['Total Paid to Bank', peso(loan.totalPaid)]
+        ].forEach(([label, value]) => results.appendChild(el('tr', {}, [el('th', {}, [label]), el('td', {}, [value])])));
+
+        if (!scheduleWrap.hidden) renderSchedule();
+    }
+
+    function renderSchedule(){
+        const peso = ListingPricing.formatPeso;
+        const table = el('table', {class: 'computation-table schedule-table'}, [
+            el('tr', {}, ['Month', 'Payment', 'Principal', 'Interest', 'Balance'].map(h => el('th', {}, [h])))
+        ]);
+        currentSchedule.forEach(r => {
+            table.appendChild(el('tr', {}, [String(r.month), peso(r.payment), peso(r.principal), peso(r.interest), peso(r.balance)].map(v => el('td', {}, [v]))));
+        });
+        scheduleWrap.innerHTML = '';
+        scheduleWrap.appendChild(table);
+    }
+
+    toggleBtn.addEventListener('click', () => {
+        scheduleWrap.hidden = !scheduleWrap.hidden;
+        toggleBtn.textContent = scheduleWrap.hidden ? 'Show amortization schedule' : 'Hide amortization schedule';
+        if (!scheduleWrap.hidden) renderSchedule();
+    });
+    csvBtn.addEventListener('click', () => {
+        const unit = units[Number(unitSelect.value)];
+        downloadFile(`${slugify(`${listing.title} ${unit.title}`)}-amortization.csv`, ListingPricing.scheduleToCsv(currentSchedule), 'text/csv');
+    });
+    unitSelect.addEventListener('change', () => { applyUnitDefaults(); recalculate(); });
+    [dpInput, dpMonthsInput, rateInput, yearsInput].forEach(i => i.addEventListener('input', recalculate));
+
+    const field = (label, input) => { const l = el('label', {class: 'pricing-field'}, [label]); l.appendChild(input); return l; };
+    container.appendChild(el('h4', {}, ['MORTGAGE / AMORTIZATION CALCULATOR']));
+    container.appendChild(el('div', {class: 'calculator-form'}, [
+        field('Unit', unitSelect),
+        field('Downpayment (%)', dpInput),
+        field('Downpayment term (months)', dpMonthsInput),
+        field('Interest rate (% per year)', rateInput),
+        field('Loan term (years)', yearsInput)
+    ]));
+    container.appendChild(results);
+    container.appendChild(el('div', {class: 'form-actions'}, [toggleBtn, csvBtn]));
+    container.appendChild(scheduleWrap);
+    container.appendChild(el('p', {class: 'unit-type'}, ['Estimates only; actual bank rates and terms vary.']));
+
+    applyUnitDefaults();
+    recalculate();
+}
+
+function slugify(text){
+    return String(text || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'download';
+}
+
+// Trigger a browser download of generated text content
+function downloadFile(filename, content, type){
+    const blob = new Blob([content], {type});
+    const url = URL.createObjectURL(blob);
+    const a = el('a', {href: url, download: filename});
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+function renderPricingComputation(unit){
+    const peso = ListingPricing.formatPeso;
+    const c = ListingPricing.computePricing(unit);
+    const rows = [
+        ['Floor Area', unit.floorArea != null ? `${unit.floorArea} sqm` : null],
+        ['Total Selling Price', unit.totalPrice != null ? peso(unit.totalPrice) : null],
+        ['Price per sqm', c.pricePerSqm != null ? peso(c.pricePerSqm) : null],
+        ['Reservation Fee', unit.reservationFee != null ? peso(unit.reservationFee) : null],
+        [`${unit.downpaymentPercent}% Downpayment`, c.downpaymentAmount != null ? peso(c.downpaymentAmount) : null],
+        ['Net Downpayment (less reservation)', c.netDownpayment != null ? peso(c.netDownpayment) : null],
+        [`Monthly Downpayment${unit.downpaymentMonths ? ` (${unit.downpaymentMonths} months)` : ''}`, c.monthlyDownpayment != null ? `${peso(c.monthlyDownpayment)}/month` : null],
+        [`${c.balancePercent}% Balance (bank financing)`, c.balanceAmount != null ? peso(c.balanceAmount) : null]
+    ].filter(([, value]) => value != null);
+
+    const wrap = el('div', {class: 'unit-pricing'}, [el('h5', {}, [unit.title || '']), el('p', {class: 'unit-type'}, [unit.type || ''])]);
+    const table = el('table', {class: 'computation-table'});
+    rows.forEach(([label, value]) => table.appendChild(el('tr', {}, [el('th', {}, [label]), el('td', {}, [value])])));
+    if (rows.length) wrap.appendChild(table);
+    if (unit.items && unit.items.length) {
+        wrap.appendChild(el('ul', {class: 'pricing-list'}, unit.items.map(item => el('li', {}, [item]))));
+    }
+    return wrap;
+}
+
 function updateActiveThumb(){
     const thumbs = Array.from(document.querySelectorAll('.modal-thumbs .thumb'));
     thumbs.forEach((t,i)=> t.classList.toggle('active', i===currentIndex));
 }
 
-if (modalPrev) modalPrev.addEventListener('click', () => { if (!currentGallery.length) return; currentIndex = (currentIndex-1+currentGallery.length)%currentGallery.length; modalImage.src = currentGallery[currentIndex]; updateActiveThumb(); });
-if (modalNext) modalNext.addEventListener('click', () => { if (!currentGallery.length) return; currentIndex = (currentIndex+1)%currentGallery.length; modalImage.src = currentGallery[currentIndex]; updateActiveThumb(); });
-modalCloseBtns.forEach(b => b.addEventListener('click', () => closeModal(detailsModal)));
+// Caption (and alt text) for the image in #modalImage
+function showGalleryCaption(){
+    const caption = currentCaptions[currentGallery[currentIndex]] || '';
+    modalImage.alt = caption || 'Property view';
+    if (modalCaption) modalCaption.textContent = caption;
+}
+
+// Show gallery image i (wraps around) and keep thumbs and URL in step
+function showGalleryImage(i){
+    if (!currentGallery.length) return;
+    const previousIndex = currentIndex;
+    currentIndex = (i + currentGallery.length) % currentGallery.length;
+    if (currentIndex !== previousIndex) trackEvent('image-view', currentDetailsId);
+    modalImage.src = currentGallery[currentIndex];
+    showGalleryCaption();
+    updateActiveThumb();
+    updateDetailsUrl();
+}
+
+if (modalPrev) modalPrev.addEventListener('click', () => showGalleryImage(currentIndex - 1));
+if (modalNext) modalNext.addEventListener('click', () => showGalleryImage(currentIndex + 1));
+modalCloseBtns.forEach(b => b.addEventListener('click', () => closeDetailsModal()));
+const shareBtn = document.getElementById('shareListingBtn');
+if (shareBtn) shareBtn.addEventListener('click', () => shareCurrentListing());
 
 // Close when clicking outside
-if (detailsModal) detailsModal.addEventListener('click', (e) => { if (e.target === detailsModal) closeModal(detailsModal); });
+if (detailsModal) detailsModal.addEventListener('click', (e) => { if (e.target === detailsModal) closeDetailsModal(); });
 if (editModal) editModal.addEventListener('click', (e) => { if (e.target === editModal) closeModal(editModal); });
 
 // keyboard
 document.addEventListener('keydown', (e) => {
     if (detailsModal && detailsModal.getAttribute('aria-hidden') === 'false'){
-        if (e.key === 'Escape') closeModal(detailsModal);
-        if (e.key === 'ArrowRight') { if (currentGallery.length){ currentIndex = (currentIndex+1)%currentGallery.length; modalImage.src = currentGallery[currentIndex]; updateActiveThumb(); } }
-        if (e.key === 'ArrowLeft') { if (currentGallery.length){ currentIndex = (currentIndex-1+currentGallery.length)%currentGallery.length; modalImage.src = currentGallery[currentIndex]; updateActiveThumb(); } }
+        if (e.key === 'Escape') closeDetailsModal();
+        if (e.key === 'ArrowRight') showGalleryImage(currentIndex + 1);
+        if (e.key === 'ArrowLeft') showGalleryImage(currentIndex - 1);
     }
     if (editModal && editModal.getAttribute('aria-hidden') === 'false' && e.key === 'Escape') closeModal(editModal);
+    if (bookingModal && bookingModal.getAttribute('aria-hidden') === 'false' && e.key === 'Escape') closeModal(bookingModal);
+    if (leadsModal && leadsModal.getAttribute('aria-hidden') === 'false' && e.key === 'Escape') closeModal(leadsModal);
+    if (analyticsModal && analyticsModal.getAttribute('aria-hidden') === 'false' && e.key === 'Escape') closeModal(analyticsModal);
+    if (trashModal && trashModal.getAttribute('aria-hidden') === 'false' && e.key === 'Escape') closeModal(trashModal);
+    if (importModal && importModal.getAttribute('aria-hidden') === 'false' && e.key === 'Escape') closeModal(importModal);
+    if (pendingModal && pendingModal.getAttribute('aria-hidden') === 'false' && e.key === 'Escape') closeModal(pendingModal);
 });
 
 // Tabs (delegated)
+function setDetailsTab(tabName){
+    currentDetailsTab = DETAILS_TABS.includes(tabName) ? tabName : 'gallery';
+    document.querySelectorAll('.tab-btn').forEach(b=>b.classList.toggle('active', b.getAttribute('data-tab') === currentDetailsTab));
+    document.querySelectorAll('.tab-content').forEach(c=>c.classList.remove('active'));
+    const activeTab = document.getElementById(`${currentDetailsTab}-tab`);
+    if (activeTab) activeTab.classList.add('active');
+}
+
 document.addEventListener('click',(e)=>{
     if (e.target && e.target.classList && e.target.classList.contains('tab-btn')){
-        const tabName = e.target.getAttribute('data-tab');
-        document.querySelectorAll('.tab-btn').forEach(b=>b.classList.remove('active'));
-        document.querySelectorAll('.tab-content').forEach(c=>c.classList.remove('active'));
-        e.target.classList.add('active');
-        const activeTab = document.getElementById(`${tabName}-tab`);
-        if (activeTab) activeTab.classList.add('active');
+        const tab = e.target.getAttribute('data-tab');
+        if (tab !== currentDetailsTab) trackEvent('tab-view', currentDetailsId, { tab });
+        setDetailsTab(tab);
+        updateDetailsUrl();
     }
 });
 
 // init
 loadListings();
 renderListings();
+openPendingListingRoute(false);
+loadOfflineListings();
@@ -0,0 +1,11 @@
+// Usage: npm run hash-password -- "<your password>"
+// Prints a value for ADMIN_PASSWORD_HASH in .env
+const { hashPassword } = require('../lib/auth');
+
+const password = process.argv[2];
+if (!password) {
+  console.error('Usage: npm run hash-password -- "<your password>"');
+  process.exit(1);
+}
+
+console.log(hashPassword(password));
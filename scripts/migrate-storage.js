@@ -0,0 +1,61 @@
+// Usage: npm run migrate-storage -- --to firestore [--from json] [--dry-run]
+// Copies listings and their images between storage backends (json, sqlite, firestore);
+// --from defaults to json. Safe to run again: listings are matched by id. Stop the server
+// first when it uses the JSON files, so its writes and these do not overlap.
+require('dotenv').config();
+const path = require('path');
+const { connectFirebase } = require('../lib/firebase');
+const { BACKENDS, createStorage, projectStorageConfig, adoptLegacyListingsFile } = require('../lib/storage');
+const { createLocalMediaStore, createCloudMediaStore } = require('../lib/media-store');
+const { migrateListings } = require('../lib/storage-migration');
+
+const ROOT_DIR = path.join(__dirname, '..');
+const UPLOADS_DIR = process.env.UPLOADS_DIR || path.join(ROOT_DIR, 'uploads');
+
+function option(name) {
+  const i = process.argv.indexOf(`--${name}`);
+  return i === -1 ? undefined : process.argv[i + 1];
+}
+
+const from = option('from') || 'json';
+const to = option('to');
+const dryRun = process.argv.includes('--dry-run');
+if (!BACKENDS.includes(from) || !BACKENDS.includes(to) || from === to) {
+  console.error('Usage: npm run migrate-storage -- --to <backend> [--from <backend>] [--dry-run]');
+  console.error(`Backends: ${BACKENDS.join(', ')} (from and to must differ)`);
+  process.exit(1);
+}
+
+async function main() {
+  adoptLegacyListingsFile(ROOT_DIR);
+  const firebase = [from, to].includes('firestore') ? connectFirebase(ROOT_DIR) : null;
+  if ([from, to].includes('firestore') && !firebase) {
+    throw new Error('Firestore needs FIREBASE_PROJECT_ID and the service account key');
+  }
+  const open = backend => createStorage(projectStorageConfig(ROOT_DIR, backend, firebase && firebase.db));
+  const source = open(from);
+  const target = open(to);
+  try {
+    const report = await migrateListings({
+      from: source,
+      to: target,
+      mediaStore: to === 'firestore' ? createCloudMediaStore(firebase.bucket) : createLocalMediaStore(UPLOADS_DIR, '/uploads'),
+      rootDir: ROOT_DIR,
+      uploadsDir: UPLOADS_DIR,
+      dryRun,
+      log: line => console.log(`  ${line}`)
+    });
+    console.log(`\n${dryRun ? 'Dry run: ' : ''}${report.total} listings from ${from} to ${to}`);
+    console.log(`  created ${report.created}, updated ${report.updated}, unchanged ${report.unchanged}, ` +
+      `skipped (newer in ${to}) ${report.skipped}, failed ${report.failed}`);
+    console.log(`  images moved ${report.images.moved}, failed ${report.images.failed}`);
+    if (report.failed) process.exitCode = 1;
+  } finally {
+    await Promise.all([source.close(), target.close()]);
+  }
+}
+
+main().catch(err => {
+  console.error('Migration failed:', err.message);
+  process.exit(1);
+});
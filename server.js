@@ -4,8 +4,20 @@ const http = require('http');
 const socketIo = require('socket.io');
 const path = require('path');
 const fs = require('fs');
-const admin = require('firebase-admin');
+const crypto = require('crypto');
 const multer = require('multer');
+const { hashPassword, verifyPassword, createToken, verifyToken, parseCookies } = require('./lib/auth');
+const { validateListing, validateListingPatch, isPublicListing } = require('./lib/listing-schema');
+const { listingsToCsv } = require('./lib/listing-csv');
+const { migratePricingUnit } = require('./lib/pricing');
+const { validateLead, validateLeadUpdate } = require('./lib/lead-schema');
+const { createLocalMediaStore, createCloudMediaStore } = require('./lib/media-store');
+const { connectFirebase } = require('./lib/firebase');
+const { BACKENDS, createStorage, projectStorageConfig, adoptLegacyListingsFile } = require('./lib/storage');
+const { migrateListings } = require('./lib/storage-migration');
+const { createListingChangeLog } = require('./lib/listing-changes');
+const { renderListingPage } = require('./lib/listing-page');
+const analyticsLib = require('./lib/analytics');
 
 const app = express();
 const server = http.createServer(app);
@@ -18,6 +30,25 @@ const io = socketIo(server, {
 
 // Middleware
 app.use(express.json({ limit: '50mb' }));
+
+// The static handler serves the project root, so keep server-side data and credentials out of it.
+// /listings.json is where listings were stored before they moved to data/ (see STORAGE).
+const PRIVATE_PATHS = ['/data', '/firebase-key.json', '/listings.json'];
+app.use((req, res, next) => {
+  let requested;
+  try {
+    requested = path.posix.normalize(decodeURIComponent(req.path)).toLowerCase();
+  } catch (err) {
+    return res.status(400).end();
+  }
+  if (PRIVATE_PATHS.some(p => requested === p || requested.startsWith(p + '/')) || requested.endsWith('.tmp')) {
+    return res.status(404).end();
+  }
+  next();
+});
+// Uploaded media is content-addressed, so it can be cached forever
+const UPLOADS_DIR = process.env.UPLOADS_DIR || path.join(__dirname, 'uploads');
+app.use('/uploads', express.static(UPLOADS_DIR, { maxAge: '365d', immutable: true }));
 app.use(express.static(path.join(__dirname)));
 
 // Configure multer for file uploads
@@ -39,27 +70,20 @@ const upload = multer({
 // FIREBASE INITIALIZATION
 // ============================================
 let db = null;
+let bucket = null;
 let listings = [];
+let trashedListings = []; // soft-deleted, see LISTINGS TRASH
 let useCloudBackend = false;
 
 function initializeFirebase() {
   try {
-    // Check if service account file exists
-    const serviceAccountPath = process.env.FIREBASE_SERVICE_ACCOUNT_PATH || './firebase-key.json';
-    const apiKey = process.env.FIREBASE_API_KEY;
-    const projectId = process.env.FIREBASE_PROJECT_ID;
-
-    if (fs.existsSync(serviceAccountPath) && projectId) {
-      const serviceAccount = require(serviceAccountPath);
-      admin.initializeApp({
-        credential: admin.credential.cert(serviceAccount),
-        databaseURL: `https://${projectId}.firebaseio.com`
-      });
-      db = admin.firestore();
+    const firebase = connectFirebase(__dirname);
+    if (firebase) {
+      ({ db, bucket } = firebase);
       useCloudBackend = true;
       console.log('✅ Firebase initialized - using cloud backend');
     } else {
-      console.log('⚠️  Firebase credentials not found - using local JSON storage');
+      console.log('⚠️  Firebase credentials not found - Firestore and Firebase Storage are off');
       useCloudBackend = false;
     }
   } catch (err) {
@@ -72,196 +96,1098 @@ function initializeFirebase() {
 initializeFirebase();
 
 // ============================================
-// LOCAL STORAGE FALLBACK
+// STORAGE (see lib/storage.js)
 // ============================================
-const DATA_FILE = path.join(__dirname, 'listings.json');
+// STORAGE_BACKEND picks json (files in data/), sqlite (SQLITE_FILE, default data/store.db)
+// or firestore; without it, Firestore is used when Firebase is configured and JSON files
+// otherwise. data/ is never served statically.
+// The JSON backend keeps rotating copies of each file in data/backups: BACKUP_KEEP per
+// file (default 20), at most one every BACKUP_INTERVAL_MINUTES (default 10).
+const storageConfig = backend => projectStorageConfig(__dirname, backend, db);
+if (adoptLegacyListingsFile(__dirname)) {
+  console.log('📦 Copied listings.json to data/listings.json; the old file is no longer used or served');
+}
+const storage = createStorage(storageConfig(process.env.STORAGE_BACKEND || (useCloudBackend ? 'firestore' : 'json')));
+const BACKUP_DIR = storageConfig('json').backups.dir;
 
-function loadListingsLocal() {
-  try {
-    if (fs.existsSync(DATA_FILE)) {
-      const raw = fs.readFileSync(DATA_FILE, 'utf8');
-      listings = JSON.parse(raw);
-    } else {
-      listings = [];
-    }
-  } catch (err) {
-    console.error('Failed to load listings:', err);
-    listings = [];
+// Newest first; documents without createdAt keep their stored order at the end
+function byNewest(a, b) {
+  return (b.createdAt || '').localeCompare(a.createdAt || '');
+}
+
+// Starting with an empty list would let the next write overwrite the real data, so a
+// store that cannot be read stops the server instead
+function refuseToStart(what, err) {
+  console.error(`❌ Could not load ${what}: ${err.message}`);
+  if (err.code === 'STORAGE_CORRUPT') {
+    console.error(`   Restore a copy from ${BACKUP_DIR} over ${err.file}, or move the file aside to start empty.`);
+  }
+  console.error('   Refusing to start without the existing data.');
+  process.exit(1);
+}
+
+// ============================================
+// LISTINGS STORAGE
+// ============================================
+// Listings saved before pricing units had numeric terms keep working: their
+// free-text items are parsed into the structured fields when loaded. Listings saved
+// before versioning start at version 1.
+function migrateListing(listing) {
+  if (!listing) return listing;
+  const migrated = { ...listing, version: listing.version || 1 };
+  if (Array.isArray(listing.pricing)) {
+    migrated.pricing = listing.pricing.map(unit => (unit && typeof unit === 'object' ? migratePricingUnit(unit) : unit));
+  }
+  return migrated;
+}
+
+// Socket clients receive listing writes as deltas (see LISTING CHANGES below)
+const listingChanges = createListingChangeLog({ isPublic: isPublicListing });
+
+async function loadListings() {
+  const all = await storage.list('listings');
+  splitTrashed(all.map(migrateListing).sort(byNewest));
+  // Later writes are diffed against what was loaded
+  listingChanges.seed(listings);
+  console.log(`Loaded ${listings.length} listings (${trashedListings.length} in trash) from ${storage.type} storage`);
+}
+
+// Trashed listings share the collection with live ones, marked by deletedAt
+function splitTrashed(all) {
+  listings = all.filter(l => !l.deletedAt);
+  trashedListings = all.filter(l => l.deletedAt);
+}
+
+// The caches below change only after the write succeeded; failures reach the caller
+async function saveListing(listing) {
+  // version and updatedAt are stamped by commitListing
+  await storage.put('listings', listing);
+  const idx = listings.findIndex(l => l.id === listing.id);
+  if (idx === -1) listings.unshift(listing);
+  else listings[idx] = listing;
+}
+
+// Permanently remove a trashed listing
+async function purgeListing(listingId) {
+  await storage.remove('listings', listingId);
+  trashedListings = trashedListings.filter(l => l.id !== listingId);
+}
+
+// Move a listing between the live list and the trash, persisting the change
+async function setListingTrashed(listing, deletedAt, deletedBy) {
+  const updated = { ...listing };
+  delete updated.deletedAt;
+  delete updated.deletedBy;
+  if (deletedAt) Object.assign(updated, { deletedAt, deletedBy });
+
+  await storage.put('listings', updated);
+  listings = listings.filter(l => l.id !== listing.id);
+  trashedListings = trashedListings.filter(l => l.id !== listing.id);
+  if (deletedAt) trashedListings.unshift(updated);
+  else listings.unshift(updated);
+  return updated;
+}
+
+// Initialize storage, then clear out trash past its retention period
+const listingsLoaded = loadListings().catch(err => refuseToStart('listings', err));
+listingsLoaded.then(() => purgeExpiredTrash()).catch(err => console.error('Trash purge failed:', err));
+
+// ============================================
+// LEADS STORAGE (showing requests)
+// ============================================
+let leads = [];
+
+async function loadLeads() {
+  leads = (await storage.list('leads')).sort(byNewest);
+  console.log(`Loaded ${leads.length} leads from ${storage.type} storage`);
+}
+
+async function saveLead(lead) {
+  await storage.put('leads', lead);
+  const idx = leads.findIndex(l => l.id === lead.id);
+  if (idx === -1) leads.unshift(lead);
+  else leads[idx] = lead;
+}
+
+loadLeads().catch(err => refuseToStart('leads', err));
+
+// ============================================
+// ANALYTICS STORAGE (counts per listing and day, see lib/analytics.js)
+// ============================================
+// Events are counted in memory and the touched day documents are written every
+// ANALYTICS_FLUSH_MS, so a busy listing page costs one write per interval, not per event
+const ANALYTICS_FLUSH_MS = 15 * 1000;
+const analytics = new Map(); // id -> day document
+const dirtyAnalytics = new Set();
+
+async function loadAnalytics() {
+  const docs = await storage.list('analytics');
+  analytics.clear();
+  dirtyAnalytics.clear();
+  docs.forEach(doc => analytics.set(doc.id, doc));
+  console.log(`Loaded ${docs.length} analytics days from ${storage.type} storage`);
+}
+
+function recordAnalyticsEvent(event) {
+  const day = analyticsLib.dayOf(Date.now());
+  const id = `${event.listingId}:${day}`;
+  if (!analytics.has(id)) analytics.set(id, analyticsLib.emptyDay(event.listingId, day));
+  analyticsLib.countEvent(analytics.get(id), event);
+  dirtyAnalytics.add(id);
+}
+
+// A failed write leaves its document dirty for the next flush
+async function flushAnalytics() {
+  const ids = Array.from(dirtyAnalytics);
+  dirtyAnalytics.clear();
+  await Promise.all(ids.map(id => storage.put('analytics', { ...analytics.get(id), tabs: { ...analytics.get(id).tabs } })
+    .catch(err => {
+      dirtyAnalytics.add(id);
+      console.error(`Analytics write failed for ${id}:`, err.message);
+    })));
+}
+
+loadAnalytics()
+  .then(() => setInterval(flushAnalytics, ANALYTICS_FLUSH_MS).unref())
+  .catch(err => refuseToStart('analytics', err));
+
+// ============================================
+// AUDIT LOG (listing revisions)
+// ============================================
+// One entry per listing write: { id, listingId, action, actor, at, version, changes:
+// [{ field, from, to }], snapshot }. snapshot is the listing as saved by that write and is
+// what a revert goes back to. Stored in the "listingRevisions" collection.
+// Bookkeeping fields that change on every write and are left out of diffs
+const AUDIT_IGNORED_FIELDS = ['version', 'createdAt', 'updatedAt', 'deletedAt', 'deletedBy'];
+
+// JSON with sorted keys, so key order alone does not count as a change
+function canonicalJson(value) {
+  if (Array.isArray(value)) return `[${value.map(canonicalJson).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(k => `${JSON.stringify(k)}:${canonicalJson(value[k])}`).join(',')}}`;
   }
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+function isEmptyValue(value) {
+  return value == null || value === '' || (typeof value === 'object' && !Object.keys(value).length);
 }
 
-function saveListingsLocal() {
+// Field-level changes between two versions of a listing; missing and empty are the same
+function diffListings(before, after) {
+  const fields = new Set(Object.keys(before || {}).concat(Object.keys(after || {})));
+  const changes = [];
+  fields.forEach(field => {
+    if (field === 'id' || AUDIT_IGNORED_FIELDS.includes(field)) return;
+    const from = before ? before[field] : undefined;
+    const to = after ? after[field] : undefined;
+    if (isEmptyValue(from) && isEmptyValue(to)) return;
+    if (canonicalJson(from) !== canonicalJson(to)) {
+      changes.push({ field, from: from === undefined ? null : from, to: to === undefined ? null : to });
+    }
+  });
+  return changes;
+}
+
+// Record a write. Failures are logged, not thrown: the write itself has already happened.
+async function recordRevision(action, listingId, before, after, actor, details = {}) {
+  const entry = {
+    id: `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`,
+    listingId,
+    action,
+    actor: actor || 'system',
+    at: new Date().toISOString(),
+    version: (after || before || {}).version || null,
+    changes: ['deleted', 'restored', 'purged'].includes(action) ? [] : diffListings(before, after),
+    snapshot: after || null,
+    ...details
+  };
   try {
-    fs.writeFileSync(DATA_FILE, JSON.stringify(listings, null, 2), 'utf8');
+    await storage.put('listingRevisions', entry);
   } catch (err) {
-    console.error('Failed to save listings:', err);
+    console.error('Failed to record listing revision:', err.message);
   }
+  return entry;
+}
+
+// A listing's revisions, newest first
+async function loadRevisions(listingId) {
+  const entries = await storage.list('listingRevisions', { listingId });
+  return entries.sort((a, b) => b.at.localeCompare(a.at) || b.id.localeCompare(a.id));
 }
 
 // ============================================
-// FIREBASE OPERATIONS
+// IMAGE UPLOAD HANDLER (Firebase Storage or local disk)
+// ============================================
+// Uploads go to the bucket when there is one, otherwise to UPLOADS_DIR served at /uploads
+const mediaStore = bucket ? createCloudMediaStore(bucket) : createLocalMediaStore(UPLOADS_DIR, '/uploads');
+
+// ============================================
+// HTTP API ENDPOINTS
+// ============================================
+
 // ============================================
-async function loadListingsFromFirebase() {
+// ADMIN AUTHENTICATION (sessions)
+// ============================================
+const ADMIN_USERNAME = process.env.ADMIN_USERNAME || 'admin';
+const SESSION_COOKIE = 'admin_session';
+const SESSION_TTL_MS = parseInt(process.env.SESSION_TTL_MINUTES || 120) * 60 * 1000;
+
+// Tokens are signed with SESSION_SECRET, or a random secret when it is not set. The
+// sessions themselves are kept in memory (see below), so a restart signs every admin out.
+const SESSION_SECRET = process.env.SESSION_SECRET || crypto.randomBytes(32).toString('hex');
+
+// Prefer a pre-computed hash (npm run hash-password); hash a plain ADMIN_PASSWORD at startup otherwise
+let adminPasswordHash = process.env.ADMIN_PASSWORD_HASH || null;
+if (!adminPasswordHash && process.env.ADMIN_PASSWORD) {
+  adminPasswordHash = hashPassword(process.env.ADMIN_PASSWORD);
+  console.log('⚠️  ADMIN_PASSWORD is stored in plain text - prefer ADMIN_PASSWORD_HASH');
+}
+if (!adminPasswordHash) {
+  console.log('⚠️  No ADMIN_PASSWORD_HASH configured - admin login is disabled');
+}
+
+// Active sessions by id, so logout can revoke a token before it expires
+const sessions = new Map();
+
+function createSession(username) {
+  const sid = crypto.randomBytes(16).toString('hex');
+  const expiresAt = Date.now() + SESSION_TTL_MS;
+  sessions.set(sid, { username, expiresAt });
+  return { token: createToken({ sid, sub: username, exp: expiresAt }, SESSION_SECRET), expiresAt };
+}
+
+// Resolve a token to its live session, or null when invalid, expired or logged out
+function getSession(token) {
+  const payload = verifyToken(token, SESSION_SECRET);
+  if (!payload) return null;
+  const session = sessions.get(payload.sid);
+  if (!session || session.expiresAt <= Date.now()) {
+    sessions.delete(payload.sid);
+    return null;
+  }
+  return { sid: payload.sid, ...session };
+}
+
+// Read the session token from the cookie (browser) or a Bearer header (scripts)
+function getRequestToken(req) {
+  const authHeader = req.headers['authorization'] || '';
+  if (authHeader.startsWith('Bearer ')) return authHeader.slice(7).trim();
+  return parseCookies(req.headers.cookie)[SESSION_COOKIE] || null;
+}
+
+function setSessionCookie(res, token, expiresAt) {
+  const maxAge = Math.max(0, Math.floor((expiresAt - Date.now()) / 1000));
+  const secure = process.env.NODE_ENV === 'production' ? '; Secure' : '';
+  res.setHeader('Set-Cookie', `${SESSION_COOKIE}=${encodeURIComponent(token)}; Path=/; HttpOnly; SameSite=Strict; Max-Age=${maxAge}${secure}`);
+}
+
+function clearSessionCookie(res) {
+  res.setHeader('Set-Cookie', `${SESSION_COOKIE}=; Path=/; HttpOnly; SameSite=Strict; Max-Age=0`);
+}
+
+// Drop expired sessions periodically
+setInterval(() => {
+  const now = Date.now();
+  for (const [sid, session] of sessions) {
+    if (session.expiresAt <= now) sessions.delete(sid);
+  }
+}, 10 * 60 * 1000).unref();
+
+// Admin authentication middleware
+function requireAdmin(req, res, next) {
+  const session = getSession(getRequestToken(req));
+  if (session) {
+    req.adminSession = session;
+    next();
+  } else {
+    res.status(401).json({ error: 'Unauthorized' });
+  }
+}
+
+app.post('/api/auth/login', (req, res) => {
+  const { username, password } = req.body || {};
+
+  if (!adminPasswordHash) {
+    return res.status(503).json({ error: 'Admin login is not configured' });
+  }
+  if (username !== ADMIN_USERNAME || !verifyPassword(password || '', adminPasswordHash)) {
+    return res.status(401).json({ error: 'Invalid username or password' });
+  }
+
+  const { token, expiresAt } = createSession(username);
+  setSessionCookie(res, token, expiresAt);
+  console.log('Admin logged in:', username);
+  // The token only travels in the HttpOnly cookie; page script never sees it
+  res.json({ success: true, username, expiresAt });
+});
+
+app.post('/api/auth/logout', (req, res) => {
+  const session = getSession(getRequestToken(req));
+  if (session) sessions.delete(session.sid);
+  clearSessionCookie(res);
+  res.json({ success: true });
+});
+
+app.get('/api/auth/session', (req, res) => {
+  const session = getSession(getRequestToken(req));
+  if (!session) return res.json({ authenticated: false });
+  res.json({ authenticated: true, username: session.username, expiresAt: session.expiresAt });
+});
+
+// Multer rejects non-images and oversized files; answer those as JSON 400s
+function receiveImage(req, res, next) {
+  upload.single('image')(req, res, (err) => {
+    if (err) return res.status(400).json({ error: err.message });
+    next();
+  });
+}
+
+// Upload image endpoint: stores the original plus web and thumbnail variants
+app.post('/api/upload-image', requireAdmin, receiveImage, async (req, res) => {
   try {
-    if (!useCloudBackend || !db) {
-      loadListingsLocal();
-      return;
+    if (!req.file) {
+      return res.status(400).json({ error: 'No file provided' });
+    }
+
+    let media;
+    try {
+      media = await mediaStore.save(req.file);
+    } catch (err) {
+      // sharp could not decode the file
+      if (/unsupported image format|Input buffer|corrupt/i.test(err.message)) {
+        return res.status(400).json({ error: 'Could not read image', message: err.message });
+      }
+      throw err;
     }
-    
-    const snapshot = await db.collection('listings').orderBy('createdAt', 'desc').get();
-    listings = [];
-    snapshot.forEach(doc => {
-      listings.push({ id: doc.id, ...doc.data() });
+    console.log(`Image uploaded (${mediaStore.type}):`, media.url);
+
+    res.json({ 
+      success: true, 
+      ...media,
+      filename: req.file.originalname
     });
-    console.log(`Loaded ${listings.length} listings from Firebase`);
   } catch (err) {
-    console.error('Failed to load listings from Firebase:', err.message);
-    loadListingsLocal();
+    console.error('Upload error:', err);
+    res.status(500).json({ error: 'Upload failed', message: err.message });
   }
+});
+
+// ============================================
+// LISTINGS REST API
+// ============================================
+// Same cache and persistence as the socket events; reads are public, writes need an admin session
+
+// Notify synced clients (see LISTING CHANGES) about listing writes, as one
+// 'listing-changes' event: updates are [{ action, listing }] or [{ action, listingId }]
+// for removals. Admins get every change; other clients only see public listings (see
+// ListingSchema.isPublicListing), so a listing that leaves the public statuses reaches
+// them as a removal. Every synced client gets the event, even with no changes it may see:
+// `since` is the sequence it follows, and a client that is not there has missed one.
+function broadcastListingChanges(updates) {
+  const changes = updates
+    .map(({ action, listing, listingId }) => listingChanges.record(action, listing || null, listing ? listing.id : listingId))
+    .filter(Boolean);
+  if (!changes.length) return;
+  const batch = { epoch: listingChanges.epoch, since: changes[0].seq - 1, seq: changes[changes.length - 1].seq };
+  emitToSyncedSockets('listing-changes',
+    { ...batch, changes: changes.map(c => listingChanges.viewFor(c, true)) },
+    { ...batch, changes: changes.map(c => listingChanges.viewFor(c, false)).filter(Boolean) });
 }
 
-async function saveListing(listing) {
+function broadcastListingUpdate(action, data) {
+  broadcastListingChanges([{ action, ...data }]);
+}
+
+// After the listings were replaced wholesale (backup restore, migration into the live
+// backend), synced clients start over from a snapshot
+function broadcastAllListings() {
+  listingChanges.reset();
+  const snapshot = { epoch: listingChanges.epoch, seq: listingChanges.seq };
+  emitToSyncedSockets('listings-snapshot', { ...snapshot, listings }, { ...snapshot, listings: listings.filter(isPublicListing) });
+}
+
+// Listings a request or socket with this session may see
+function visibleListings(session) {
+  return session ? listings : listings.filter(isPublicListing);
+}
+
+function findListing(id) {
+  return listings.find(l => l.id === id);
+}
+
+function findTrashedListing(id) {
+  return trashedListings.find(l => l.id === id);
+}
+
+const TRASHED_ERROR = { error: 'This listing is in the trash', code: 'TRASHED' };
+
+// ============================================
+// LISTING VERSIONS (conflict detection)
+// ============================================
+// Each write bumps a listing's version and updatedAt. Writers send back the version
+// their edit started from; if the stored copy has moved on since, the write is refused
+// with the current listing so the client can resolve the conflict. Writes without a
+// version (scripts, older clients) are last-write-wins.
+function isStaleWrite(existing, baseVersion) {
+  return Boolean(existing) && baseVersion != null && Number(baseVersion) !== (existing.version || 0);
+}
+
+function conflictBody(current) {
+  return { error: 'This listing was changed by someone else', code: 'CONFLICT', current };
+}
+
+// Writes run one at a time so two edits from the same version cannot both pass the check.
+// Everything that changes listings (saves, trash, restore, purge, backup restores and
+// migrations) goes through this queue and re-reads the listing once it is its turn.
+let listingWrites = Promise.resolve();
+
+function queueListingWrite(task) {
+  const run = listingWrites.then(task);
+  listingWrites = run.catch(() => {});
+  return run;
+}
+
+// Save a validated listing as its next version and record it in the audit log (audit:
+// { actor, action, ...details }; action defaults to created / updated). Resolves to
+// { listing } as saved, { conflict } holding the current copy when baseVersion is
+// stale, or { trashed } when the listing is in the trash. With { create: true } the
+// writer expects a new listing: one that already exists is only replaced when
+// baseVersion names its current version, and is otherwise a conflict.
+function commitListing(listing, baseVersion, audit = {}, { create = false } = {}) {
+  return queueListingWrite(async () => {
+    const existing = findListing(listing.id);
+    // Edits to a trashed listing must not bring back a second, live copy
+    if (findTrashedListing(listing.id)) return { trashed: true };
+    if (isStaleWrite(existing, baseVersion)) return { conflict: existing };
+    if (existing && create && baseVersion == null) return { conflict: existing };
+    const now = new Date().toISOString();
+    const saved = {
+      ...listing,
+      version: ((existing && existing.version) || 0) + 1,
+      createdAt: (existing && existing.createdAt) || listing.createdAt || now,
+      updatedAt: now
+    };
+    await saveListing(saved);
+    const { actor, action, ...details } = audit;
+    await recordRevision(action || (existing ? 'updated' : 'created'), saved.id, existing, saved, actor, details);
+    return { listing: saved };
+  });
+}
+
+// ============================================
+// LISTINGS IMPORT / EXPORT (admin)
+// ============================================
+// Registered before /api/listings/:id so "export" is not taken for an id. The client
+// parses CSV (lib/listing-csv.js) or JSON into listings and posts them here: first with
+// dryRun for the preview, then for real. Rows are checked one by one; invalid rows, ids
+// in the trash and repeated ids are skipped, the rest are created or updated.
+app.get('/api/listings/export', requireAdmin, (req, res) => {
+  const format = req.query.format === 'json' ? 'json' : 'csv';
+  const filename = `listings-${new Date().toISOString().slice(0, 10)}.${format}`;
+  res.attachment(filename);
+  if (format === 'json') return res.json(listings);
+  res.type('text/csv').send(listingsToCsv(listings));
+});
+
+app.post('/api/listings/import', requireAdmin, async (req, res) => {
   try {
-    if (!useCloudBackend || !db) {
-      const idx = listings.findIndex(l => l.id === listing.id);
-      if (idx === -1) listings.unshift(listing);
-      else listings[idx] = listing;
-      saveListingsLocal();
-      return;
+    const body = req.body || {};
+    if (!Array.isArray(body.listings)) {
+      return res.status(400).json({ error: 'listings must be an array', code: 'VALIDATION_ERROR' });
     }
 
-    // Save to Firebase
-    await db.collection('listings').doc(listing.id).set(
-      {
-        ...listing,
-        updatedAt: admin.firestore.Timestamp.now()
-      },
-      { merge: true }
-    );
-    
-    // Update local cache
-    const idx = listings.findIndex(l => l.id === listing.id);
-    if (idx === -1) listings.unshift(listing);
-    else listings[idx] = listing;
+    const seen = new Set();
+    const results = body.listings.map((raw, index) => {
+      const { valid, errors, value } = validateListing(raw);
+      const result = { index, id: value && value.id, title: value && value.title, errors };
+      if (value && value.id && seen.has(value.id)) {
+        errors.push({ field: 'id', message: 'id appears more than once in this import' });
+      } else if (value && value.id && findTrashedListing(value.id)) {
+        errors.push({ field: 'id', message: 'A listing with this id is in the trash' });
+      } else if (value && value.id && isStaleWrite(findListing(value.id), value.version)) {
+        errors.push({ field: 'version', message: 'This listing was changed after the file was exported' });
+      }
+      if (value && value.id) seen.add(value.id);
+      result.action = !valid || errors.length ? 'skip' : (value.id && findListing(value.id) ? 'update' : 'create');
+      result.value = value;
+      return result;
+    });
+
+    if (!body.dryRun) {
+      const updates = [];
+      for (const result of results) {
+        if (result.action === 'skip') continue;
+        const listing = { ...result.value, id: result.value.id || `${Date.now()}-${crypto.randomBytes(3).toString('hex')}` };
+        let outcome;
+        try {
+          outcome = await commitListing(listing, listing.version, { actor: req.adminSession.username });
+        } catch (err) {
+          console.error('Import listing error:', err);
+          result.action = 'skip';
+          result.errors.push({ field: '', message: `Could not be saved: ${err.message}` });
+          continue;
+        }
+        if (outcome.listing) {
+          result.id = outcome.listing.id;
+          updates.push({ action: result.action === 'create' ? 'added' : 'updated', listing: outcome.listing });
+        } else {
+          result.action = 'skip';
+          result.errors.push({ field: 'id', message: outcome.trashed ? TRASHED_ERROR.error : conflictBody(outcome.conflict).error });
+        }
+      }
+      if (updates.length) {
+        console.log(`Imported ${updates.length} listings`);
+        broadcastListingChanges(updates);
+      }
+    }
+
+    res.json({
+      dryRun: Boolean(body.dryRun),
+      created: results.filter(r => r.action === 'create').length,
+      updated: results.filter(r => r.action === 'update').length,
+      skipped: results.filter(r => r.action === 'skip').length,
+      results: results.map(({ value, ...result }) => result)
+    });
   } catch (err) {
-    console.error('Failed to save listing to Firebase:', err.message);
+    console.error('Import listings error:', err);
+    res.status(500).json({ error: 'Import failed', message: err.message });
+  }
+});
+
+// Drafts, scheduled and archived listings are only returned to admins
+app.get('/api/listings', (req, res) => {
+  res.json(visibleListings(getSession(getRequestToken(req))));
+});
+
+app.get('/api/listings/:id', (req, res) => {
+  const listing = findListing(req.params.id);
+  if (!listing || !(isPublicListing(listing) || getSession(getRequestToken(req)))) {
+    return res.status(404).json({ error: 'Listing not found' });
   }
+  res.json(listing);
+});
+
+function sendValidationError(res, errors) {
+  res.status(400).json({ error: 'Invalid listing', code: 'VALIDATION_ERROR', errors });
 }
 
-async function deleteListing(listingId) {
+app.post('/api/listings', requireAdmin, async (req, res) => {
   try {
-    if (!useCloudBackend || !db) {
-      listings = listings.filter(l => l.id !== listingId);
-      saveListingsLocal();
-      return;
+    const body = req.body || {};
+    const { valid, errors, value: listing } = validateListing({ ...body, id: body.id || Date.now().toString() });
+    if (!valid) return sendValidationError(res, errors);
+    if (findListing(listing.id) || findTrashedListing(listing.id)) {
+      return res.status(409).json({ error: 'Listing already exists', id: listing.id });
     }
 
-    await db.collection('listings').doc(listingId).delete();
-    listings = listings.filter(l => l.id !== listingId);
+    const { listing: saved } = await commitListing(listing, undefined, { actor: req.adminSession.username }, { create: true });
+    // Created by another request since the check above
+    if (!saved) return res.status(409).json({ error: 'Listing already exists', id: listing.id });
+    console.log('New listing added via API:', saved.title);
+    broadcastListingUpdate('added', { listing: saved });
+    res.status(201).json(saved);
   } catch (err) {
-    console.error('Failed to delete listing from Firebase:', err.message);
+    console.error('Create listing error:', err);
+    res.status(500).json({ error: 'Create failed', message: err.message });
   }
-}
+});
+
+// PUT replaces the whole listing, PATCH merges the given fields into it and validates only
+// those (see validateListingPatch). Send the listing's version to have the update refused
+// (409 CONFLICT) if it changed meanwhile.
+async function updateListingRoute(req, res, merge) {
+  try {
+    const existing = findListing(req.params.id);
+    if (!existing) return res.status(404).json({ error: 'Listing not found' });
 
-// Initialize storage
-if (useCloudBackend) {
-  loadListingsFromFirebase();
-} else {
-  loadListingsLocal();
+    const body = req.body || {};
+    const { valid, errors, value: listing } = merge
+      ? validateListingPatch(existing, body)
+      : validateListing({ ...body, id: existing.id });
+    if (!valid) return sendValidationError(res, errors);
+
+    const { listing: saved, conflict, trashed } = await commitListing(listing, body.version, { actor: req.adminSession.username });
+    if (trashed) return res.status(409).json(TRASHED_ERROR);
+    if (conflict) return res.status(409).json(conflictBody(conflict));
+    console.log('Listing updated via API:', saved.id);
+    broadcastListingUpdate('updated', { listing: saved });
+    res.json(saved);
+  } catch (err) {
+    console.error('Update listing error:', err);
+    res.status(500).json({ error: 'Update failed', message: err.message });
+  }
 }
 
+app.put('/api/listings/:id', requireAdmin, (req, res) => updateListingRoute(req, res, false));
+app.patch('/api/listings/:id', requireAdmin, (req, res) => updateListingRoute(req, res, true));
+
+// Deleting moves the listing to the trash (see LISTINGS TRASH)
+app.delete('/api/listings/:id', requireAdmin, async (req, res) => {
+  try {
+    const trashed = await trashListing(req.params.id, req.adminSession.username);
+    if (!trashed) return res.status(404).json({ error: 'Listing not found' });
+    console.log('Listing moved to trash via API:', trashed.id);
+    res.json({ success: true, id: trashed.id, deletedAt: trashed.deletedAt });
+  } catch (err) {
+    console.error('Delete listing error:', err);
+    res.status(500).json({ error: 'Delete failed', message: err.message });
+  }
+});
+
 // ============================================
-// IMAGE UPLOAD HANDLER (Firebase Storage)
+// LISTINGS TRASH
 // ============================================
-let bucket = null;
+// Deleted listings keep their data with deletedAt/deletedBy until an admin restores or
+// purges them, or TRASH_RETENTION_DAYS (default 30) pass and they are purged automatically.
+const TRASH_RETENTION_DAYS = Number(process.env.TRASH_RETENTION_DAYS) || 30;
+const TRASH_RETENTION_MS = TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+
+function trashEntry(listing) {
+  return { ...listing, purgeAt: new Date(Date.parse(listing.deletedAt) + TRASH_RETENTION_MS).toISOString() };
+}
+
+// Each of these runs in the listing write queue and resolves to null when the listing is
+// no longer where the caller expected it (deleted, restored or purged meanwhile)
+function trashListing(listingId, deletedBy) {
+  return queueListingWrite(async () => {
+    const listing = findListing(listingId);
+    if (!listing) return null;
+    const trashed = await setListingTrashed(listing, new Date().toISOString(), deletedBy);
+    await recordRevision('deleted', listing.id, listing, trashed, deletedBy);
+    broadcastListingUpdate('deleted', { listingId: listing.id });
+    return trashed;
+  });
+}
+
+function restoreTrashedListing(listingId, restoredBy) {
+  return queueListingWrite(async () => {
+    const trashed = findTrashedListing(listingId);
+    if (!trashed) return null;
+    const listing = await setListingTrashed(trashed, null);
+    await recordRevision('restored', listing.id, trashed, listing, restoredBy);
+    broadcastListingUpdate('restored', { listing });
+    return listing;
+  });
+}
 
-try {
-  const projectId = process.env.FIREBASE_PROJECT_ID;
-  if (useCloudBackend && projectId) {
-    bucket = admin.storage().bucket(`${projectId}.appspot.com`);
-    console.log('✅ Firebase Storage initialized');
+// deletedAt, when given, must still match: the listing may have been restored and
+// deleted again since the caller looked at the trash
+function purgeTrashedListing(listingId, purgedBy, deletedAt) {
+  return queueListingWrite(async () => {
+    const trashed = findTrashedListing(listingId);
+    if (!trashed || (deletedAt && trashed.deletedAt !== deletedAt)) return null;
+    await purgeListing(listingId);
+    await recordRevision('purged', listingId, trashed, null, purgedBy);
+    return trashed;
+  });
+}
+
+async function purgeExpiredTrash() {
+  const cutoff = Date.now() - TRASH_RETENTION_MS;
+  const expired = trashedListings.filter(l => Date.parse(l.deletedAt) <= cutoff);
+  for (const listing of expired) {
+    if (!(await purgeTrashedListing(listing.id, 'system', listing.deletedAt))) continue;
+    console.log('Purged listing from trash after retention period:', listing.id);
   }
-} catch (err) {
-  console.error('Firebase Storage error:', err.message);
 }
 
-async function uploadImageToCloud(file, folder = 'property-images') {
+setInterval(() => {
+  purgeExpiredTrash().catch(err => console.error('Trash purge failed:', err));
+}, 60 * 60 * 1000).unref();
+
+app.get('/api/trash', requireAdmin, (req, res) => {
+  res.json(trashedListings.map(trashEntry));
+});
+
+app.post('/api/trash/:id/restore', requireAdmin, async (req, res) => {
   try {
-    if (!bucket || !file) return null;
-    
-    const timestamp = Date.now();
-    const filename = `${folder}/${timestamp}-${file.originalname}`;
-    const fileRef = bucket.file(filename);
-    
-    await fileRef.save(file.buffer, {
-      metadata: {
-        contentType: file.mimetype
-      }
+    const listing = await restoreTrashedListing(req.params.id, req.adminSession.username);
+    if (!listing) return res.status(404).json({ error: 'Listing not found in trash' });
+    console.log('Listing restored from trash:', listing.id);
+    res.json(listing);
+  } catch (err) {
+    console.error('Restore listing error:', err);
+    res.status(500).json({ error: 'Restore failed', message: err.message });
+  }
+});
+
+app.delete('/api/trash/:id', requireAdmin, async (req, res) => {
+  try {
+    // ?deletedAt= is the trash entry the admin confirmed; a newer one is left alone
+    const listingId = req.params.id;
+    const purged = await purgeTrashedListing(listingId, req.adminSession.username, req.query.deletedAt);
+    if (!purged) return res.status(404).json({ error: 'Listing not found in trash' });
+    console.log('Listing purged from trash:', listingId);
+    res.json({ success: true, id: listingId });
+  } catch (err) {
+    console.error('Purge listing error:', err);
+    res.status(500).json({ error: 'Purge failed', message: err.message });
+  }
+});
+
+// ============================================
+// SCHEDULED PUBLISHING
+// ============================================
+// Scheduled listings become published once their publishAt time has passed
+async function publishDueListings() {
+  const now = Date.now();
+  const due = listings.filter(l => l.status === 'scheduled' && l.publishAt && Date.parse(l.publishAt) <= now);
+  for (const listing of due) {
+    const { listing: saved } = await commitListing({ ...listing, status: 'published' }, listing.version, {
+      actor: 'system',
+      action: 'published'
     });
-    
-    const [url] = await fileRef.getSignedUrl({
-      version: 'v4',
-      action: 'read',
-      expires: Date.now() + 365 * 24 * 60 * 60 * 1000 // 1 year
+    // Edited in the meantime: the next run looks at the new version
+    if (!saved) continue;
+    console.log('Scheduled listing published:', saved.id);
+    broadcastListingUpdate('updated', { listing: saved });
+  }
+}
+
+setInterval(() => {
+  publishDueListings().catch(err => console.error('Scheduled publishing failed:', err));
+}, 30 * 1000).unref();
+listingsLoaded.then(() => publishDueListings()).catch(err => console.error('Scheduled publishing failed:', err));
+
+// ============================================
+// LISTING HISTORY (admin)
+// ============================================
+// Revisions are listed without their snapshots; reverting saves a revision's snapshot as
+// the listing's next version (itself recorded as a 'reverted' revision).
+app.get('/api/listings/:id/history', requireAdmin, async (req, res) => {
+  try {
+    const revisions = await loadRevisions(req.params.id);
+    res.json(revisions.map(({ snapshot, ...entry }) => ({ ...entry, revertible: Boolean(snapshot) })));
+  } catch (err) {
+    console.error('Listing history error:', err);
+    res.status(500).json({ error: 'Could not load history', message: err.message });
+  }
+});
+
+app.post('/api/listings/:id/revert', requireAdmin, async (req, res) => {
+  try {
+    const existing = findListing(req.params.id);
+    if (!existing) {
+      return findTrashedListing(req.params.id)
+        ? res.status(409).json(TRASHED_ERROR)
+        : res.status(404).json({ error: 'Listing not found' });
+    }
+
+    const revisionId = req.body && req.body.revisionId;
+    const revision = (await loadRevisions(existing.id)).find(r => r.id === revisionId);
+    if (!revision || !revision.snapshot) return res.status(404).json({ error: 'Revision not found' });
+
+    const { valid, errors, value } = validateListing({ ...revision.snapshot, id: existing.id });
+    if (!valid) return sendValidationError(res, errors);
+    const { listing: saved, trashed } = await commitListing(value, undefined, {
+      actor: req.adminSession.username,
+      action: 'reverted',
+      revertedTo: revision.version
     });
-    
-    return url;
+    if (trashed) return res.status(409).json(TRASHED_ERROR);
+
+    console.log(`Listing ${saved.id} reverted to version ${revision.version}`);
+    broadcastListingUpdate('updated', { listing: saved });
+    res.json(saved);
   } catch (err) {
-    console.error('Failed to upload image to Firebase:', err.message);
-    return null;
+    console.error('Revert listing error:', err);
+    res.status(500).json({ error: 'Revert failed', message: err.message });
   }
+});
+
+// ============================================
+// STORAGE BACKUPS (admin, JSON backend)
+// ============================================
+// GET lists the backup files newest first; restoring one replaces its collection (the
+// current file is backed up first) and reloads the in-memory copy.
+function backupsSupported(res) {
+  if (storage.listBackups) return true;
+  res.status(501).json({ error: `Backups are handled by the ${storage.type} database, not by this server` });
+  return false;
 }
 
+app.get('/api/backups', requireAdmin, async (req, res) => {
+  if (!backupsSupported(res)) return;
+  try {
+    res.json(await storage.listBackups());
+  } catch (err) {
+    console.error('List backups error:', err);
+    res.status(500).json({ error: 'Could not list backups', message: err.message });
+  }
+});
+
+app.post('/api/backups/:name/restore', requireAdmin, async (req, res) => {
+  if (!backupsSupported(res)) return;
+  try {
+    // Queued behind listing writes so none lands between the restore and the reload
+    const restored = await queueListingWrite(async () => {
+      const result = await storage.restoreBackup(req.params.name);
+      if (result.collection === 'listings') await loadListings();
+      if (result.collection === 'leads') await loadLeads();
+      if (result.collection === 'analytics') await loadAnalytics();
+      return result;
+    });
+
+    console.log(`Backup ${req.params.name} restored by ${req.adminSession.username} (${restored.count} ${restored.collection})`);
+    if (restored.collection === 'listings') broadcastAllListings();
+    res.json({ success: true, name: req.params.name, ...restored });
+  } catch (err) {
+    if (err.code === 'NOT_FOUND') return res.status(404).json({ error: 'Backup not found' });
+    if (err.code === 'STORAGE_CORRUPT') return res.status(422).json({ error: 'Backup file is corrupt', message: err.message });
+    console.error('Restore backup error:', err);
+    res.status(500).json({ error: 'Restore failed', message: err.message });
+  }
+});
+
 // ============================================
-// HTTP API ENDPOINTS
+// STORAGE MIGRATION (admin)
 // ============================================
+// POST /api/storage/migrate { from?, to, dryRun? } copies listings and their images
+// between backends (see lib/storage-migration.js); from defaults to the live backend.
+// scripts/migrate-storage.js does the same from the command line.
+app.post('/api/storage/migrate', requireAdmin, async (req, res) => {
+  const body = req.body || {};
+  const from = body.from || storage.type;
+  const to = body.to;
+  if (!BACKENDS.includes(from) || !BACKENDS.includes(to) || from === to) {
+    return res.status(400).json({ error: `from and to must be two different backends: ${BACKENDS.join(', ')}` });
+  }
+  if ([from, to].includes('firestore') && !db) {
+    return res.status(400).json({ error: 'Migrating to or from Firestore needs Firebase credentials' });
+  }
 
-// Admin authentication middleware
-function requireAdmin(req, res, next) {
-  const adminToken = req.headers['x-admin-token'];
-  const adminPassword = process.env.ADMIN_PASSWORD || 'admin123';
-  
-  if (adminToken === adminPassword) {
-    next();
-  } else {
-    res.status(401).json({ error: 'Unauthorized' });
+  const opened = [];
+  const open = backend => {
+    if (backend === storage.type) return storage;
+    const adapter = createStorage(storageConfig(backend));
+    opened.push(adapter);
+    return adapter;
+  };
+  try {
+    const migrate = () => migrateListings({
+      from: open(from),
+      to: open(to),
+      mediaStore: to === 'firestore' ? createCloudMediaStore(bucket) : createLocalMediaStore(UPLOADS_DIR, '/uploads'),
+      rootDir: __dirname,
+      uploadsDir: UPLOADS_DIR,
+      dryRun: Boolean(body.dryRun)
+    });
+
+    let report;
+    if (to === storage.type && !body.dryRun) {
+      // Into the live backend: queued with listing writes, then the cache is reloaded
+      report = await queueListingWrite(async () => {
+        const result = await migrate();
+        await loadListings();
+        return result;
+      });
+      broadcastAllListings();
+    } else {
+      report = await migrate();
+    }
+
+    console.log(`Storage migration ${from} -> ${to}${report.dryRun ? ' (dry run)' : ''} by ${req.adminSession.username}: ` +
+      `${report.created} created, ${report.updated} updated, ${report.unchanged} unchanged, ${report.skipped} skipped, ${report.failed} failed`);
+    res.json(report);
+  } catch (err) {
+    console.error('Storage migration error:', err);
+    res.status(500).json({ error: 'Migration failed', message: err.message });
+  } finally {
+    await Promise.all(opened.map(adapter => adapter.close().catch(() => {})));
   }
+});
+
+// ============================================
+// LEAD CAPTURE (Schedule a Showing)
+// ============================================
+// Public endpoint; throttled per IP, with a hidden "website" field as a bot honeypot
+const LEAD_LIMIT = 5;
+const LEAD_WINDOW_MS = 10 * 60 * 1000;
+const leadAttempts = new Map();
+
+function isLeadRateLimited(ip) {
+  const now = Date.now();
+  const recent = (leadAttempts.get(ip) || []).filter(t => now - t < LEAD_WINDOW_MS);
+  recent.push(now);
+  leadAttempts.set(ip, recent);
+  return recent.length > LEAD_LIMIT;
 }
 
-// Upload image endpoint
-app.post('/api/upload-image', upload.single('image'), async (req, res) => {
+setInterval(() => {
+  const now = Date.now();
+  for (const [ip, times] of leadAttempts) {
+    if (times.every(t => now - t >= LEAD_WINDOW_MS)) leadAttempts.delete(ip);
+  }
+}, LEAD_WINDOW_MS).unref();
+
+app.post('/api/leads', async (req, res) => {
   try {
-    const adminToken = req.headers['x-admin-token'];
-    const adminPassword = process.env.ADMIN_PASSWORD || 'admin123';
-    
-    if (adminToken !== adminPassword) {
-      return res.status(401).json({ error: 'Unauthorized' });
-    }
-    
-    if (!req.file) {
-      return res.status(400).json({ error: 'No file provided' });
+    const body = req.body || {};
+    if (body.website) return res.status(201).json({ success: true }); // honeypot: pretend it worked
+    if (isLeadRateLimited(req.ip)) {
+      return res.status(429).json({ error: 'Too many requests. Please try again later.' });
     }
-    
-    // Upload to cloud if available, otherwise use data URL
-    let imageUrl = null;
-    
-    if (bucket) {
-      imageUrl = await uploadImageToCloud(req.file);
-    }
-    
-    if (!imageUrl) {
-      // Fallback to base64 data URL
-      imageUrl = `data:${req.file.mimetype};base64,${req.file.buffer.toString('base64')}`;
+
+    const { valid, errors, value } = validateLead(body);
+    if (!valid) return res.status(400).json({ error: 'Invalid request', code: 'VALIDATION_ERROR', errors });
+
+    const listing = findListing(value.listingId);
+    if (!listing || !isPublicListing(listing)) return res.status(404).json({ error: 'Listing not found' });
+    if (listing.status === 'sold') return res.status(409).json({ error: 'This listing has been sold' });
+
+    const lead = {
+      ...value,
+      id: `${Date.now()}-${crypto.randomBytes(3).toString('hex')}`,
+      listingTitle: listing.title,
+      status: 'new',
+      createdAt: new Date().toISOString()
+    };
+    await saveLead(lead);
+    recordAnalyticsEvent({ type: 'inquiry', listingId: listing.id });
+    console.log('New showing request for', listing.title, 'from', lead.name);
+
+    emitToAdmins('lead-created', lead);
+    res.status(201).json({ success: true, id: lead.id });
+  } catch (err) {
+    console.error('Lead capture error:', err);
+    res.status(500).json({ error: 'Could not save your request', message: err.message });
+  }
+});
+
+// ============================================
+// LEADS INBOX (admin)
+// ============================================
+// GET /api/leads?listingId=&status=&from=&to= (from/to are dates, inclusive)
+app.get('/api/leads', requireAdmin, (req, res) => {
+  const { listingId, status } = req.query;
+  const from = req.query.from ? Date.parse(req.query.from) : null;
+  // a bare date for "to" covers that whole day
+  const to = req.query.to ? Date.parse(req.query.to) + (/^\d{4}-\d{2}-\d{2}$/.test(req.query.to) ? 24 * 60 * 60 * 1000 - 1 : 0) : null;
+
+  const result = leads.filter(lead => {
+    const created = Date.parse(lead.createdAt);
+    if (listingId && lead.listingId !== listingId) return false;
+    if (status && lead.status !== status) return false;
+    if (from !== null && !isNaN(from) && created < from) return false;
+    if (to !== null && !isNaN(to) && created > to) return false;
+    return true;
+  });
+  res.json(result);
+});
+
+// PATCH /api/leads/:id { status?, note? } - move through the pipeline and/or add a note
+app.patch('/api/leads/:id', requireAdmin, async (req, res) => {
+  try {
+    const existing = leads.find(l => l.id === req.params.id);
+    if (!existing) return res.status(404).json({ error: 'Lead not found' });
+
+    const { valid, errors, value } = validateLeadUpdate(req.body);
+    if (!valid) return res.status(400).json({ error: 'Invalid update', code: 'VALIDATION_ERROR', errors });
+
+    const now = new Date().toISOString();
+    const lead = { ...existing, notes: (existing.notes || []).slice(), updatedAt: now };
+    if (value.status && value.status !== existing.status) {
+      lead.status = value.status;
+      lead.statusHistory = (existing.statusHistory || []).concat({ from: existing.status, to: value.status, by: req.adminSession.username, at: now });
     }
-    
-    res.json({ 
-      success: true, 
-      url: imageUrl,
-      filename: req.file.originalname
+    if (value.note) lead.notes.push({ text: value.note, author: req.adminSession.username, createdAt: now });
+
+    await saveLead(lead);
+    emitToAdmins('lead-updated', lead);
+    res.json(lead);
+  } catch (err) {
+    console.error('Lead update error:', err);
+    res.status(500).json({ error: 'Update failed', message: err.message });
+  }
+});
+
+// ============================================
+// LISTING ANALYTICS
+// ============================================
+// POST /api/analytics/events { events: [{ type, listingId, tab? }] } is public: visitors'
+// browsers report card impressions, details opens, tab switches and gallery image views
+// (see ANALYTICS in script.js). Admins browsing the site are not counted, nor are
+// listings visitors cannot see. Each IP may report ANALYTICS_EVENT_LIMIT events a minute;
+// the rest are dropped without an error, as the browser has nothing useful to do with one.
+const ANALYTICS_BATCH_LIMIT = 100;
+const ANALYTICS_EVENT_LIMIT = 600;
+const ANALYTICS_WINDOW_MS = 60 * 1000;
+const analyticsAllowance = new Map(); // ip -> { windowStart, count }
+
+function analyticsAllowanceFor(ip, wanted) {
+  const now = Date.now();
+  let entry = analyticsAllowance.get(ip);
+  if (!entry || now - entry.windowStart >= ANALYTICS_WINDOW_MS) {
+    entry = { windowStart: now, count: 0 };
+    analyticsAllowance.set(ip, entry);
+  }
+  const allowed = Math.max(0, Math.min(wanted, ANALYTICS_EVENT_LIMIT - entry.count));
+  entry.count += allowed;
+  return allowed;
+}
+
+setInterval(() => {
+  const now = Date.now();
+  for (const [ip, entry] of analyticsAllowance) {
+    if (now - entry.windowStart >= ANALYTICS_WINDOW_MS) analyticsAllowance.delete(ip);
+  }
+}, ANALYTICS_WINDOW_MS).unref();
+
+app.post('/api/analytics/events', (req, res) => {
+  if (!getSession(getRequestToken(req))) {
+    const events = analyticsLib.normalizeEvents(req.body, ANALYTICS_BATCH_LIMIT).filter(event => {
+      const listing = findListing(event.listingId);
+      return listing && isPublicListing(listing);
     });
+    events.slice(0, analyticsAllowanceFor(req.ip, events.length)).forEach(recordAnalyticsEvent);
+  }
+  res.status(204).end();
+});
+
+// Deleted listings keep their numbers; their title comes from the trash while it lasts
+function analyticsTitle(listingId) {
+  const listing = findListing(listingId) || findTrashedListing(listingId);
+  return listing ? listing.title : '(deleted listing)';
+}
+
+// GET /api/analytics?from=&to= (dates, inclusive; the last 30 days by default, at most
+// analyticsLib.MAX_RANGE_DAYS)
+app.get('/api/analytics', requireAdmin, (req, res) => {
+  const range = analyticsLib.parseRange(req.query);
+  if (range.error) return res.status(400).json({ error: range.error, code: 'VALIDATION_ERROR' });
+  res.json(analyticsLib.summarize(Array.from(analytics.values()), range, analyticsTitle));
+});
+
+app.get('/api/analytics/export', requireAdmin, (req, res) => {
+  const range = analyticsLib.parseRange(req.query);
+  if (range.error) return res.status(400).json({ error: range.error, code: 'VALIDATION_ERROR' });
+  res.attachment(`analytics-${range.from}-to-${range.to}.csv`);
+  res.type('text/csv').send(analyticsLib.analyticsToCsv(Array.from(analytics.values()), range, analyticsTitle));
+});
+
+// ============================================
+// LISTING PAGES (deep links with social previews)
+// ============================================
+// /listing/:id serves index.html with Open Graph / Twitter tags for that listing so
+// links shared to Messenger or Facebook show its photo and title; script.js then opens
+// the details modal from the path
+const INDEX_FILE = path.join(__dirname, 'index.html');
+
+// PUBLIC_URL pins the canonical origin when running behind a proxy
+function siteOrigin(req) {
+  return process.env.PUBLIC_URL || `${req.protocol}://${req.get('host')}`;
+}
+
+app.get('/listing/:id', (req, res) => {
+  try {
+    const found = findListing(req.params.id);
+    const listing = found && (isPublicListing(found) || getSession(getRequestToken(req))) ? found : null;
+    const html = renderListingPage(fs.readFileSync(INDEX_FILE, 'utf8'), listing, { origin: siteOrigin(req), path: req.path });
+    res.status(listing ? 200 : 404).type('html').send(html);
   } catch (err) {
-    console.error('Upload error:', err);
-    res.status(500).json({ error: 'Upload failed', message: err.message });
+    console.error('Listing page error:', err);
+    res.status(500).send('Failed to render listing page');
   }
 });
 
@@ -271,78 +1197,294 @@ app.post('/api/upload-image', upload.single('image'), async (req, res) => {
 // Store all connected clients
 const clients = new Set();
 
+// Handshake authentication: remember the session token (cookie or auth payload) so each
+// write event can re-check it; anonymous sockets still connect and receive updates
+io.use((socket, next) => {
+  const handshakeToken = socket.handshake.auth && socket.handshake.auth.token;
+  socket.data.token = handshakeToken || parseCookies(socket.handshake.headers.cookie)[SESSION_COOKIE] || null;
+  next();
+});
+
+// Admin-only broadcasts (lead details are private). Sockets join the room when they
+// connect with a session; membership is re-checked here in case it has since expired.
+const ADMIN_ROOM = 'admins';
+// Sockets that have synced their listings (see listings-resume) and take live changes
+const LISTINGS_ROOM = 'listings';
+
+async function emitToAdmins(event, payload) {
+  try {
+    const sockets = await io.in(ADMIN_ROOM).fetchSockets();
+    sockets.forEach(s => {
+      if (getSession(s.data.token)) s.emit(event, payload);
+      else s.leave(ADMIN_ROOM);
+    });
+  } catch (err) {
+    console.error(`Failed to notify admins (${event}):`, err);
+  }
+}
+
+// Listing events for the sockets in LISTINGS_ROOM: admins get adminPayload, everyone else
+// visitorPayload. Decided per socket in one synchronous pass, so a socket whose session
+// has just expired leaves ADMIN_ROOM and gets the visitor payload of this same event.
+function emitToSyncedSockets(event, adminPayload, visitorPayload) {
+  const members = io.sockets.adapter.rooms.get(LISTINGS_ROOM) || new Set();
+  members.forEach(id => {
+    const socket = io.sockets.sockets.get(id);
+    if (!socket) return;
+    let admin = socket.rooms.has(ADMIN_ROOM);
+    if (admin && !getSession(socket.data.token)) {
+      socket.leave(ADMIN_ROOM);
+      admin = false;
+    }
+    socket.emit(event, admin ? adminPayload : visitorPayload);
+  });
+}
+
+// Send an acknowledgement if the client asked for one
+function reply(ack, payload) {
+  if (typeof ack === 'function') ack(payload);
+}
+
+// A write the storage backend refused; nothing was changed
+function replyWriteFailed(ack, event, err) {
+  console.error(`Failed to handle ${event}:`, err);
+  reply(ack, { ok: false, code: 'STORAGE_ERROR', error: 'The change could not be saved', message: err.message });
+}
+
+// { listing } normalized, or { error } with the ack body listing the validation errors
+function validateSocketListing(payload) {
+  const { valid, errors, value } = validateListing(payload);
+  if (valid && value.id) return { listing: value };
+  if (value && !value.id) errors.push({ field: 'id', message: 'id is required' });
+  return { error: { ok: false, code: 'VALIDATION_ERROR', error: 'Invalid listing', errors } };
+}
+
+// Returns the admin session for this socket, or acks an error and returns null.
+// Checked per event so logout and expiry take effect without a reconnect.
+function authorizeSocketWrite(socket, event, ack) {
+  const session = getSession(socket.data.token);
+  if (session) return session;
+  console.log(`Rejected ${event} from unauthenticated socket:`, socket.id);
+  reply(ack, { ok: false, code: 'UNAUTHORIZED', error: 'Admin login required' });
+  return null;
+}
+
+// Queued client writes carry an idempotency key: emit(event, payload, { key }, ack). A
+// retry of a write that already reached the server gets the first answer again instead
+// of being applied twice. Keys are scoped to the admin session, so one client cannot be
+// answered with (or block) another's write by reusing its key. Answers are kept in memory
+// for WRITE_KEY_TTL_MS; storage failures are not kept, so their retries run again.
+const WRITE_KEY_TTL_MS = 24 * 60 * 60 * 1000;
+const writeResults = new Map(); // `${sid}:${event}:${key}` -> { at, result: Promise<ack body> }
+
+function runOnce(key, handler) {
+  if (!key) return handler();
+  const known = writeResults.get(key);
+  if (known) return known.result;
+  const result = handler();
+  writeResults.set(key, { at: Date.now(), result });
+  result.catch(() => writeResults.delete(key));
+  return result;
+}
+
+setInterval(() => {
+  const cutoff = Date.now() - WRITE_KEY_TTL_MS;
+  writeResults.forEach((entry, key) => { if (entry.at < cutoff) writeResults.delete(key); });
+}, 60 * 60 * 1000).unref();
+
+// Register an admin write event; handler(session, payload) resolves to the ack body
+function onSocketWrite(socket, event, handler) {
+  socket.on(event, async (payload, ...rest) => {
+    const ack = typeof rest[rest.length - 1] === 'function' ? rest.pop() : null;
+    const session = authorizeSocketWrite(socket, event, ack);
+    if (!session) return;
+    const key = rest[0] && rest[0].key ? `${session.sid}:${event}:${rest[0].key}` : null;
+    try {
+      reply(ack, await runOnce(key, () => handler(session, payload)));
+    } catch (err) {
+      replyWriteFailed(ack, event, err);
+    }
+  });
+}
+
+// ============================================
+// ADMIN PRESENCE & EDIT LOCKS
+// ============================================
+// Admin sockets say which listing they have open in the edit form (edit-start, repeated
+// as a heartbeat while it stays open; edit-stop when it closes). The first to open a
+// listing holds a soft lock on it: the others see who is editing and may take it over.
+// Locks are advisory, saves are still checked by version (see LISTING VERSIONS), and
+// expire unless renewed, so a closed laptop does not keep one. Every change is sent
+// to admins as 'admin-presence' { admins, locks }.
+const EDIT_LOCK_TTL_MS = 2 * 60 * 1000;
+const editLocks = new Map(); // listingId -> { listingId, username, socketId, since, expiresAt }
+
+function grantEditLock(socket, session, listingId) {
+  const current = editLocks.get(listingId);
+  const lock = {
+    listingId,
+    username: session.username,
+    socketId: socket.id,
+    since: current && current.socketId === socket.id ? current.since : new Date().toISOString(),
+    expiresAt: new Date(Date.now() + EDIT_LOCK_TTL_MS).toISOString()
+  };
+  editLocks.set(listingId, lock);
+  return lock;
+}
+
+// The unexpired lock another socket holds on the listing, if any
+function lockHeldByOther(socket, listingId) {
+  const lock = editLocks.get(listingId);
+  if (!lock || lock.socketId === socket.id || Date.parse(lock.expiresAt) <= Date.now()) return null;
+  return lock;
+}
+
+// Release this socket's locks, except the one on keepListingId
+function releaseEditLocks(socket, keepListingId) {
+  editLocks.forEach((lock, listingId) => {
+    if (lock.socketId === socket.id && listingId !== keepListingId) editLocks.delete(listingId);
+  });
+}
+
+async function broadcastPresence() {
+  try {
+    const sockets = await io.in(ADMIN_ROOM).fetchSockets();
+    const admins = [];
+    sockets.forEach(s => {
+      const session = getSession(s.data.token);
+      if (session) admins.push({ socketId: s.id, username: session.username, editing: s.data.editing || null, connectedAt: s.data.connectedAt });
+    });
+    emitToAdmins('admin-presence', { admins, locks: Array.from(editLocks.values()) });
+  } catch (err) {
+    console.error('Failed to send admin presence:', err);
+  }
+}
+
+setInterval(() => {
+  let expired = false;
+  editLocks.forEach((lock, listingId) => {
+    if (Date.parse(lock.expiresAt) <= Date.now()) {
+      editLocks.delete(listingId);
+      expired = true;
+    }
+  });
+  if (expired) broadcastPresence();
+}, 15 * 1000).unref();
+
 io.on('connection', (socket) => {
   console.log('New client connected:', socket.id);
   clients.add(socket.id);
+  if (getSession(socket.data.token)) {
+    socket.join(ADMIN_ROOM);
+    socket.data.connectedAt = new Date().toISOString();
+    broadcastPresence();
+  }
 
   // Emit current number of active users
   io.emit('users-count', clients.size);
 
-  // Send the authoritative listings to the newly connected client
-  try { socket.emit('sync-all-listings', listings); } catch(e){}
-
   // Handle listing added/updated event from admin
-  socket.on('listing-added', async (listing) => {
-    console.log('New listing added:', listing.title);
-    // Update server storage and persist
-    if (listing && listing.id) {
-      await saveListing(listing);
-    }
+  onSocketWrite(socket, 'listing-added', async (session, payload) => {
+    const { listing, error } = validateSocketListing(payload);
+    if (error) return error;
+    // An add for an id the server already has (a replay, or an id clash) is a conflict the
+    // client resolves, unless it names the version it is replacing
+    const { listing: saved, conflict, trashed } = await commitListing(listing, listing.version, { actor: session.username }, { create: true });
+    if (trashed) return { ok: false, ...TRASHED_ERROR };
+    if (conflict) return { ok: false, ...conflictBody(conflict) };
+    console.log('New listing added:', saved.title);
     // Broadcast to all connected clients (including the sender)
-    io.emit('update-listings', {
-      action: 'added',
-      listing: listing,
-      timestamp: new Date()
-    });
+    broadcastListingUpdate('added', { listing: saved });
+    return { ok: true, listing: saved };
   });
 
   // Handle listing deleted event
-  socket.on('listing-deleted', async (listingId) => {
-    console.log('Listing deleted:', listingId);
-    // remove from server storage
-    await deleteListing(listingId);
-    io.emit('update-listings', {
-      action: 'deleted',
-      listingId: listingId,
-      timestamp: new Date()
-    });
+  onSocketWrite(socket, 'listing-deleted', async (session, listingId) => {
+    // Already gone (e.g. a replayed offline delete): nothing to do
+    if (await trashListing(listingId, session.username)) console.log('Listing moved to trash:', listingId);
+    return { ok: true };
   });
 
   // Handle listing updated event
-  socket.on('listing-updated', async (listing) => {
-    console.log('Listing updated:', listing.id);
-    // update server storage
-    await saveListing(listing);
-    io.emit('update-listings', {
-      action: 'updated',
-      listing: listing,
-      timestamp: new Date()
-    });
+  onSocketWrite(socket, 'listing-updated', async (session, payload) => {
+    const { listing, error } = validateSocketListing(payload);
+    if (error) return error;
+    // Stale edits (made against an older version) are refused with the current copy
+    const { listing: saved, conflict, trashed } = await commitListing(listing, listing.version, { actor: session.username });
+    if (trashed) return { ok: false, ...TRASHED_ERROR };
+    if (conflict) {
+      console.log('Rejected stale update:', listing.id, `(v${listing.version}, current v${conflict.version})`);
+      return { ok: false, ...conflictBody(conflict) };
+    }
+    console.log('Listing updated:', saved.id);
+    broadcastListingUpdate('updated', { listing: saved });
+    return { ok: true, listing: saved };
   });
 
-  // Handle all listings sync request
-  socket.on('sync-listings', async (clientListings) => {
-    try {
-      if (Array.isArray(clientListings) && clientListings.length) {
-        // Merge: add any client items that the server doesn't have
-        const existingIds = new Set(listings.map(l => l.id));
-        const toAdd = clientListings.filter(l => l && l.id && !existingIds.has(l.id));
-        if (toAdd.length) {
-          for (const listing of toAdd) {
-            await saveListing(listing);
-          }
-          console.log('Merged', toAdd.length, 'listings from client');
-        }
-      }
-    } catch (err) { console.error('Error merging listings:', err); }
-    // Broadcast authoritative list to all clients
-    io.emit('sync-all-listings', listings);
+  // Listings sync: { epoch, seq } is the last change the client applied (both null on
+  // a fresh page). It joins the listings room for live changes and gets what it missed,
+  // or a snapshot when the change log no longer covers its position.
+  socket.on('listings-resume', (position) => {
+    const { epoch, seq } = position || {};
+    const session = getSession(socket.data.token);
+    socket.join(LISTINGS_ROOM);
+    const changes = listingChanges.since(epoch, seq, Boolean(session));
+    if (changes) {
+      socket.emit('listing-changes', { epoch: listingChanges.epoch, seq: listingChanges.seq, changes, resumed: true });
+    } else {
+      socket.emit('listings-snapshot', { epoch: listingChanges.epoch, seq: listingChanges.seq, listings: visibleListings(session) });
+    }
+  });
+
+  // Opening a listing in the edit form (and the heartbeat while it stays open): acks
+  // { ok: true, lock } with this socket's lock, or { ok: false, code: 'LOCKED', lock }
+  socket.on('edit-start', (listingId, ack) => {
+    const session = authorizeSocketWrite(socket, 'edit-start', ack);
+    if (!session) return;
+    if (!findListing(listingId)) return reply(ack, { ok: false, code: 'NOT_FOUND', error: 'Listing not found' });
+    socket.data.editing = String(listingId);
+    releaseEditLocks(socket, socket.data.editing);
+    const held = lockHeldByOther(socket, socket.data.editing);
+    if (held) {
+      reply(ack, { ok: false, code: 'LOCKED', error: `${held.username} is editing this listing`, lock: held });
+    } else {
+      reply(ack, { ok: true, lock: grantEditLock(socket, session, socket.data.editing) });
+    }
+    broadcastPresence();
+  });
+
+  // Take the lock from whoever holds it; they are told with 'edit-lock-lost'
+  socket.on('edit-takeover', (listingId, ack) => {
+    const session = authorizeSocketWrite(socket, 'edit-takeover', ack);
+    if (!session) return;
+    if (!findListing(listingId)) return reply(ack, { ok: false, code: 'NOT_FOUND', error: 'Listing not found' });
+    socket.data.editing = String(listingId);
+    releaseEditLocks(socket, socket.data.editing);
+    const previous = lockHeldByOther(socket, socket.data.editing);
+    const lock = grantEditLock(socket, session, socket.data.editing);
+    if (previous) {
+      console.log(`${session.username} took over editing ${lock.listingId} from ${previous.username}`);
+      io.to(previous.socketId).emit('edit-lock-lost', { listingId: lock.listingId, username: session.username });
+    }
+    reply(ack, { ok: true, lock });
+    broadcastPresence();
+  });
+
+  socket.on('edit-stop', () => {
+    if (!socket.data.editing) return;
+    socket.data.editing = null;
+    releaseEditLocks(socket);
+    broadcastPresence();
   });
 
   socket.on('disconnect', () => {
     console.log('Client disconnected:', socket.id);
     clients.delete(socket.id);
     io.emit('users-count', clients.size);
+    if (socket.data.connectedAt) {
+      releaseEditLocks(socket);
+      broadcastPresence();
+    }
   });
 
   // Handle errors
@@ -355,5 +1497,5 @@ const PORT = process.env.PORT || 3000;
 server.listen(PORT, () => {
   console.log(`🚀 Real Estate Server running on http://localhost:${PORT}`);
   console.log(`📡 WebSocket server ready for real-time updates`);
-  console.log(`☁️  Backend: ${useCloudBackend ? 'Firebase Cloud' : 'Local Storage'}`);
+  console.log(`☁️  Storage: ${storage.type}`);
 });
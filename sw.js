@@ -0,0 +1,155 @@
+// ============================================
+// SERVICE WORKER (installable, offline browsing)
+// ============================================
+// Caches the app shell on install and serves it stale-while-revalidate, so the site
+// opens without a connection. Pages are network-first with the cached shell as the
+// offline fallback. Images are cache-first (uploads are content-addressed, so a URL never
+// changes). script.js posts the public listings whenever the server changes them; they
+// are stored at OFFLINE_LISTINGS_URL and their images fetched in the background, and images
+// no listing uses any more are dropped. API and socket.io traffic is never cached.
+// Bump when the shell must not be served stale, e.g. when script.js and server.js change
+// the socket protocol together: old caches are dropped once the new worker activates
+const CACHE_VERSION = 'v2';
+const SHELL_CACHE = `shell-${CACHE_VERSION}`;
+const IMAGE_CACHE = `images-${CACHE_VERSION}`;
+const DATA_CACHE = `data-${CACHE_VERSION}`;
+const OFFLINE_LISTINGS_URL = '/offline/listings.json';
+const SOCKET_IO_URL = 'https://cdn.socket.io/4.5.4/socket.io.min.js';
+
+const SHELL_URLS = [
+    '/',
+    '/style.css',
+    '/script.js',
+    '/lib/pricing.js',
+    '/lib/listing-csv.js',
+    '/lib/listing-schema.js',
+    '/lib/lead-schema.js',
+    '/manifest.webmanifest',
+    '/icons/icon-192.png',
+    '/icons/icon-512.png',
+    '/profile.png',
+    // Images of the built-in default listing (see defaults in script.js)
+    '/auria.jpg',
+    '/bedroom.jpg',
+    '/bathroom.jpg',
+    '/livingroom.jpg',
+    '/kitchen.jpg',
+    '/diningroom.jpg'
+];
+
+async function precacheShell() {
+    const cache = await caches.open(SHELL_CACHE);
+    await cache.addAll(SHELL_URLS);
+    // The CDN may not send CORS headers; an opaque copy still runs as a classic script
+    const socketIo = await fetch(SOCKET_IO_URL, { mode: 'no-cors' }).catch(() => null);
+    if (socketIo) await cache.put(SOCKET_IO_URL, socketIo);
+}
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(precacheShell().then(() => self.skipWaiting()));
+});
+
+// Drop caches from earlier versions
+self.addEventListener('activate', (event) => {
+    const current = [SHELL_CACHE, IMAGE_CACHE, DATA_CACHE];
+    event.waitUntil((async () => {
+        const names = await caches.keys();
+        await Promise.all(names.filter(name => !current.includes(name)).map(name => caches.delete(name)));
+        await self.clients.claim();
+    })());
+});
+
+function isCacheable(response) {
+    return response.ok || response.type === 'opaque';
+}
+
+// Listing pages (/listing/:id) resolve relative asset paths from the root, so the
+// offline copy of the shell gets the same <base> the server injects
+async function pageResponse(request) {
+    try {
+        const response = await fetch(request);
+        if (response.ok && new URL(request.url).pathname === '/') {
+            await (await caches.open(SHELL_CACHE)).put('/', response.clone());
+        }
+        return response;
+    } catch (err) {
+        const cached = await caches.match('/');
+        if (!cached) throw err;
+        const html = (await cached.text()).replace('<head>', '<head>\n    <base href="/">');
+        return new Response(html, { headers: { 'Content-Type': 'text/html; charset=utf-8' } });
+    }
+}
+
+async function imageResponse(request) {
+    const cached = await caches.match(request);
+    if (cached) return cached;
+    const response = await fetch(request);
+    if (isCacheable(response)) await (await caches.open(IMAGE_CACHE)).put(request, response.clone());
+    return response;
+}
+
+function shellResponse(event) {
+    const { request } = event;
+    const network = fetch(request).then(async (response) => {
+        if (response.ok) await (await caches.open(SHELL_CACHE)).put(request, response.clone());
+        return response;
+    });
+    event.waitUntil(network.catch(() => {}));
+    return caches.match(request, { ignoreSearch: true }).then(cached => cached || network);
+}
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET') return;
+    const url = new URL(request.url);
+    const sameOrigin = url.origin === self.location.origin;
+    if (sameOrigin && (url.pathname.startsWith('/api/') || url.pathname.startsWith('/socket.io/'))) return;
+
+    if (request.mode === 'navigate') {
+        event.respondWith(pageResponse(request));
+    } else if (request.destination === 'image') {
+        event.respondWith(imageResponse(request));
+    } else if (sameOrigin || request.url === SOCKET_IO_URL) {
+        event.respondWith(shellResponse(event));
+    }
+});
+
+// ============================================
+// LISTINGS (background refresh from script.js)
+// ============================================
+let refreshing = Promise.resolve();
+
+async function cacheListings(listings, images) {
+    const data = await caches.open(DATA_CACHE);
+    await data.put(OFFLINE_LISTINGS_URL, new Response(JSON.stringify(listings), {
+        headers: { 'Content-Type': 'application/json' }
+    }));
+
+    const cache = await caches.open(IMAGE_CACHE);
+    const wanted = new Set(images.map(src => new URL(src, self.location.origin).href));
+    const cachedRequests = await cache.keys();
+    await Promise.all(cachedRequests.filter(req => !wanted.has(req.url)).map(req => cache.delete(req)));
+    const cachedUrls = new Set(cachedRequests.map(req => req.url));
+
+    // One at a time, so a large gallery does not compete with the page for bandwidth
+    for (const url of wanted) {
+        if (cachedUrls.has(url)) continue;
+        try {
+            const sameOrigin = new URL(url).origin === self.location.origin;
+            const response = await fetch(url, { mode: sameOrigin ? 'same-origin' : 'no-cors' });
+            if (isCacheable(response)) await cache.put(url, response);
+        } catch (err) {
+            console.warn('Could not cache image for offline use:', url, err);
+        }
+    }
+}
+
+// { type: 'cache-listings', listings, images }: images are the URLs the listings show
+self.addEventListener('message', (event) => {
+    const message = event.data || {};
+    if (message.type !== 'cache-listings') return;
+    refreshing = refreshing
+        .then(() => cacheListings(message.listings || [], message.images || []))
+        .catch(err => console.error('Offline listing cache failed:', err));
+    event.waitUntil(refreshing);
+});
@@ -0,0 +1,86 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { MAX_RANGE_DAYS, parseRange, normalizeEvents, emptyDay, countEvent, summarize, analyticsToCsv } = require('../lib/analytics');
+
+describe('parseRange', () => {
+  it('accepts a range of real days', () => {
+    assert.deepEqual(parseRange({ from: '2026-02-01', to: '2026-02-28' }), { from: '2026-02-01', to: '2026-02-28' });
+    assert.deepEqual(parseRange({ from: '2028-02-29', to: '2028-02-29' }), { from: '2028-02-29', to: '2028-02-29' });
+  });
+
+  it('rejects days that do not exist', () => {
+    assert.deepEqual(parseRange({ from: '2026-02-30', to: '2026-03-05' }), { error: 'from must be a date (YYYY-MM-DD)' });
+    assert.deepEqual(parseRange({ from: '2026-01-01', to: '2026-02-29' }), { error: 'to must be a date (YYYY-MM-DD)' });
+    assert.ok(parseRange({ to: '2026-13-01' }).error);
+    assert.ok(parseRange({ from: '2026-1-5' }).error);
+    assert.ok(parseRange({ from: 'yesterday' }).error);
+  });
+
+  it('swaps a from that is after to', () => {
+    assert.deepEqual(parseRange({ from: '2026-03-10', to: '2026-03-01' }), { from: '2026-03-01', to: '2026-03-10' });
+  });
+
+  it(`allows at most ${MAX_RANGE_DAYS} days`, () => {
+    assert.deepEqual(parseRange({ from: '2026-01-01', to: '2027-01-01' }), { from: '2026-01-01', to: '2027-01-01' });
+    assert.deepEqual(parseRange({ from: '2026-01-01', to: '2027-01-02' }), { error: `The range can cover at most ${MAX_RANGE_DAYS} days` });
+    assert.ok(parseRange({ from: '2027-01-02', to: '2026-01-01' }).error);
+  });
+
+  it('defaults to the days up to today', t => {
+    t.mock.timers.enable({ apis: ['Date'], now: Date.parse('2026-10-18T12:00:00Z') });
+    assert.deepEqual(parseRange({}), { from: '2026-09-19', to: '2026-10-18' });
+    assert.deepEqual(parseRange({}, 7), { from: '2026-10-12', to: '2026-10-18' });
+    assert.deepEqual(parseRange({ to: '2026-03-01' }, 7), { from: '2026-02-23', to: '2026-03-01' });
+  });
+});
+
+describe('normalizeEvents', () => {
+  it('keeps known events and drops the rest', () => {
+    const events = normalizeEvents({
+      events: [
+        { type: 'impression', listingId: 1, extra: 'dropped' },
+        { type: 'tab-view', listingId: 'a', tab: 'pricing' },
+        { type: 'tab-view', listingId: 'a', tab: 'secrets' },
+        { type: 'inquiry', listingId: 'a' },
+        { type: 'detail-view', listingId: '' },
+        { type: 'unknown', listingId: 'a' },
+        null
+      ]
+    }, 100);
+    assert.deepEqual(events, [
+      { type: 'impression', listingId: '1' },
+      { type: 'tab-view', listingId: 'a', tab: 'pricing' }
+    ]);
+    assert.equal(normalizeEvents({ events: new Array(5).fill({ type: 'impression', listingId: 'a' }) }, 2).length, 2);
+    assert.deepEqual(normalizeEvents(null, 10), []);
+  });
+});
+
+describe('summarize', () => {
+  const day = (listingId, date, events) => {
+    const doc = emptyDay(listingId, date);
+    events.forEach(event => countEvent(doc, event));
+    return doc;
+  };
+  const docs = [
+    day('a', '2026-03-01', [{ type: 'impression' }, { type: 'detail-view' }, { type: 'tab-view', tab: 'pricing' }]),
+    day('b', '2026-03-02', [{ type: 'impression' }, { type: 'impression' }]),
+    day('b', '2026-04-01', [{ type: 'detail-view' }])
+  ];
+  const titleOf = id => `Listing ${id}`;
+
+  it('totals the range per day and per listing', () => {
+    const summary = summarize(docs, { from: '2026-03-01', to: '2026-03-03' }, titleOf);
+    assert.deepEqual(summary.days.map(d => [d.day, d.impressions]), [['2026-03-01', 1], ['2026-03-02', 2], ['2026-03-03', 0]]);
+    assert.equal(summary.totals.impressions, 3);
+    assert.deepEqual(summary.totals.tabs, { pricing: 1 });
+    assert.deepEqual(summary.listings.map(l => [l.listingId, l.title, l.detailViews]), [['a', 'Listing a', 1], ['b', 'Listing b', 0]]);
+  });
+
+  it('exports a CSV row per listing and day', () => {
+    const lines = analyticsToCsv(docs, { from: '2026-03-01', to: '2026-03-31' }, titleOf).split('\r\n');
+    assert.equal(lines.length, 3);
+    assert.match(lines[0], /^day,listingId,title,impressions,detailViews,imageViews,tabViews,inquiries,galleryTabViews/);
+    assert.equal(lines[1], '2026-03-01,a,Listing a,1,1,0,1,0,0,0,0,1,0');
+  });
+});
@@ -0,0 +1,62 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { hashPassword, verifyPassword, createToken, verifyToken, parseCookies } = require('../lib/auth');
+
+const SECRET = 'test-secret';
+
+describe('password hashing', () => {
+  it('verifies the password a hash was made from', () => {
+    const hash = hashPassword('correct horse');
+    assert.match(hash, /^scrypt\$[0-9a-f]{32}\$[0-9a-f]{128}$/);
+    assert.equal(verifyPassword('correct horse', hash), true);
+    assert.equal(verifyPassword('wrong horse', hash), false);
+  });
+
+  it('salts every hash', () => {
+    assert.notEqual(hashPassword('same'), hashPassword('same'));
+  });
+
+  it('rejects missing or malformed hashes', () => {
+    assert.equal(verifyPassword('x', undefined), false);
+    assert.equal(verifyPassword('x', 'plain-text'), false);
+    assert.equal(verifyPassword('x', 'bcrypt$00$00'), false);
+  });
+});
+
+describe('session tokens', () => {
+  const payload = () => ({ sid: 'abc', username: 'admin', exp: Date.now() + 60 * 1000 });
+
+  it('returns the payload of a valid token', () => {
+    const claims = payload();
+    assert.deepEqual(verifyToken(createToken(claims, SECRET), SECRET), claims);
+  });
+
+  it('rejects a tampered payload or signature', () => {
+    const token = createToken(payload(), SECRET);
+    const [body, signature] = token.split('.');
+    const forged = Buffer.from(JSON.stringify({ ...payload(), username: 'root' })).toString('base64url');
+    const flipped = (signature[0] === 'A' ? 'B' : 'A') + signature.slice(1);
+
+    assert.equal(verifyToken(`${forged}.${signature}`, SECRET), null);
+    assert.equal(verifyToken(`${body}.${flipped}`, SECRET), null);
+    assert.equal(verifyToken(`${body}.`, SECRET), null);
+    assert.equal(verifyToken(token, 'another-secret'), null);
+  });
+
+  it('rejects expired tokens and tokens without an expiry', () => {
+    assert.equal(verifyToken(createToken({ ...payload(), exp: Date.now() - 1 }, SECRET), SECRET), null);
+    assert.equal(verifyToken(createToken({ sid: 'abc' }, SECRET), SECRET), null);
+  });
+
+  it('rejects values that are not tokens', () => {
+    assert.equal(verifyToken(undefined, SECRET), null);
+    assert.equal(verifyToken('no-dot', SECRET), null);
+  });
+});
+
+describe('parseCookies', () => {
+  it('decodes each cookie and keeps undecodable values as sent', () => {
+    assert.deepEqual(parseCookies('a=1; session=x%2Ey; bad=%E0%A4%A; flag'), { a: '1', session: 'x.y', bad: '%E0%A4%A' });
+    assert.deepEqual(parseCookies(undefined), {});
+  });
+});
@@ -0,0 +1,100 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createListingChangeLog } = require('../lib/listing-changes');
+
+const isPublic = listing => listing.status === 'published';
+
+function listing(fields) {
+  return { id: 'a', title: 'Auria', status: 'published', version: 1, ...fields };
+}
+
+describe('listing change log', () => {
+  it('records additions, patches of changed fields and removals', () => {
+    const log = createListingChangeLog({ isPublic });
+    const added = log.record('added', listing());
+    assert.equal(added.seq, 1);
+    assert.equal(added.op, 'add');
+
+    const patched = log.record('updated', listing({ title: 'Auria 2', version: 2 }));
+    assert.deepEqual(log.viewFor(patched, true), {
+      seq: 2, action: 'updated', op: 'patch', id: 'a', set: { title: 'Auria 2', version: 2 }, unset: []
+    });
+
+    const removed = log.record('deleted', null, 'a');
+    assert.deepEqual(log.viewFor(removed, true), { seq: 3, action: 'deleted', op: 'remove', id: 'a' });
+    assert.equal(log.seq, 3);
+  });
+
+  it('skips writes that change nothing or arrive out of order', () => {
+    const log = createListingChangeLog({ isPublic });
+    log.seed([listing({ version: 2 })]);
+    assert.equal(log.record('updated', listing({ version: 2 })), null);
+    assert.equal(log.record('updated', listing({ title: 'Older', version: 1 })), null);
+    assert.equal(log.record('deleted', null, 'missing'), null);
+    assert.equal(log.seq, 0);
+  });
+
+  it('shows visitors only public listings', () => {
+    const log = createListingChangeLog({ isPublic });
+    const draft = log.record('added', listing({ status: 'draft' }));
+    assert.equal(log.viewFor(draft, false), null);
+    assert.equal(log.viewFor(draft, true).op, 'add');
+
+    const published = log.record('updated', listing({ version: 2 }));
+    assert.deepEqual(log.viewFor(published, false), {
+      seq: 2, action: 'published', op: 'add', id: 'a', listing: listing({ version: 2 })
+    });
+    assert.equal(log.viewFor(published, true).op, 'patch');
+
+    const sold = log.record('updated', listing({ status: 'sold', version: 3 }));
+    assert.deepEqual(log.viewFor(sold, false), { seq: 3, action: 'deleted', op: 'remove', id: 'a' });
+  });
+
+  it('returns the changes since a sequence as the viewer sees them', () => {
+    const log = createListingChangeLog({ isPublic });
+    log.record('added', listing());
+    log.record('added', listing({ id: 'b', status: 'draft' }));
+    log.record('updated', listing({ title: 'Auria 2', version: 2 }));
+
+    assert.deepEqual(log.since(log.epoch, 1, true).map(c => c.seq), [2, 3]);
+    assert.deepEqual(log.since(log.epoch, 1, false).map(c => c.seq), [3]);
+    assert.deepEqual(log.since(log.epoch, 3, true), []);
+  });
+
+  it('asks for a snapshot when the client cannot resume', () => {
+    const log = createListingChangeLog({ isPublic, limit: 2 });
+    ['a', 'b', 'c'].forEach(id => log.record('added', listing({ id })));
+
+    assert.equal(log.since(log.epoch, 0, true), null, 'older than the kept changes');
+    assert.deepEqual(log.since(log.epoch, 1, true).map(c => c.seq), [2, 3]);
+    assert.equal(log.since(log.epoch, 4, true), null, 'ahead of the log');
+    assert.equal(log.since(log.epoch, null, true), null, 'never synced');
+    assert.equal(log.since('another-epoch', 3, true), null, 'from another epoch');
+  });
+
+  it('starts a new epoch for every log, so positions from before a restart are refused', () => {
+    const before = createListingChangeLog({ isPublic });
+    before.record('added', listing());
+    const after = createListingChangeLog({ isPublic });
+    after.record('added', listing());
+
+    assert.notEqual(after.epoch, before.epoch);
+    assert.equal(after.since(before.epoch, 1, true), null);
+  });
+
+  it('sends everyone a snapshot after a reset', () => {
+    const log = createListingChangeLog({ isPublic });
+    log.record('added', listing());
+    log.record('added', listing({ id: 'b' }));
+    log.reset();
+
+    assert.equal(log.seq, 3);
+    assert.equal(log.since(log.epoch, 2, true), null);
+    assert.deepEqual(log.since(log.epoch, 3, true), []);
+
+    log.seed([listing({ title: 'Restored', version: 5 })]);
+    const next = log.record('updated', listing({ title: 'Restored', status: 'sold', version: 6 }));
+    assert.equal(next.seq, 4);
+    assert.deepEqual(log.since(log.epoch, 3, true).map(c => [c.seq, c.op]), [[4, 'patch']]);
+  });
+});
@@ -0,0 +1,127 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseCsv, csvToListings, listingsToCsv, toCsvCell } = require('../lib/listing-csv');
+
+describe('parseCsv', () => {
+  it('keeps commas, quotes and line breaks inside quoted cells', () => {
+    const text = 'title,description\r\n"Auria, Tower 1","Sea view\nand ""quiet"" rooms"\r\nPlain,Text';
+    assert.deepEqual(parseCsv(text), [
+      ['title', 'description'],
+      ['Auria, Tower 1', 'Sea view\nand "quiet" rooms'],
+      ['Plain', 'Text']
+    ]);
+  });
+
+  it('detects semicolon-separated files and drops blank lines and the BOM', () => {
+    assert.deepEqual(parseCsv('﻿title;beds\n\nAuria;3\n'), [['title', 'beds'], ['Auria', '3']]);
+  });
+});
+
+describe('csvToListings', () => {
+  it('maps loose headers to listing fields', () => {
+    const { listings, unmapped } = csvToListings('Project Name,Address,Bedrooms,Photos,Favourite colour\nAuria,Cebu,3,a.jpg; b.jpg,blue');
+    assert.deepEqual(unmapped, ['Favourite colour']);
+    assert.deepEqual(listings, [{
+      line: 2,
+      listing: { pricing: [], title: 'Auria', location: 'Cebu', beds: '3', gallery: ['a.jpg', 'b.jpg'] }
+    }]);
+  });
+
+  it('adds continuation rows as more units of the listing above', () => {
+    const text = [
+      'id,title,location,unitTitle,totalPrice,unitNotes',
+      'l1,Auria,Cebu,Studio,"2,500,000",Corner; Sea view',
+      ',,,1BR,"4,000,000",',
+      'l1,,,2BR,,',
+      'l2,Other,Manila,,,'
+    ].join('\n');
+    const { listings } = csvToListings(text);
+    assert.deepEqual(listings.map(l => [l.line, l.listing.id]), [[2, 'l1'], [5, 'l2']]);
+    assert.deepEqual(listings[0].listing.pricing.map(u => [u.title, u.totalPrice, u.items]), [
+      ['Studio', '2,500,000', ['Corner', 'Sea view']],
+      ['1BR', '4,000,000', []],
+      ['2BR', null, []]
+    ]);
+    assert.deepEqual(listings[1].listing.pricing, []);
+  });
+
+  it('starts a new listing when a unit row names another id', () => {
+    const { listings } = csvToListings('id,title,unitTitle\nl1,Auria,Studio\nl2,,1BR');
+    assert.deepEqual(listings.map(l => [l.listing.id, l.listing.pricing.length]), [['l1', 1], ['l2', 1]]);
+  });
+
+  it('reads version and captions', () => {
+    const { listings } = csvToListings('id,version,mainImage,captions\nl1,4,a.jpg,"{""a.jpg"":""Front""}"');
+    assert.equal(listings[0].listing.version, 4);
+    assert.deepEqual(listings[0].listing.captions, { 'a.jpg': 'Front' });
+  });
+});
+
+describe('toCsvCell', () => {
+  it('quotes cells with commas, quotes or line breaks', () => {
+    assert.equal(toCsvCell('a, b'), '"a, b"');
+    assert.equal(toCsvCell('say "hi"'), '"say ""hi"""');
+    assert.equal(toCsvCell('two\nlines'), '"two\nlines"');
+    assert.equal(toCsvCell(null), '');
+    assert.equal(toCsvCell(3), '3');
+  });
+
+  it('escapes cells a spreadsheet would run as formulas', () => {
+    assert.equal(toCsvCell('=HYPERLINK("http://x")'), '"\'=HYPERLINK(""http://x"")"');
+    assert.equal(toCsvCell('+63 912 345 6789'), "'+63 912 345 6789");
+    assert.equal(toCsvCell('-5%'), "'-5%");
+    assert.equal(toCsvCell('@SUM(A1)'), "'@SUM(A1)");
+    assert.equal(toCsvCell('\tindented'), "'\tindented");
+    assert.equal(toCsvCell('Price = 5'), 'Price = 5');
+  });
+});
+
+describe('listingsToCsv', () => {
+  const listing = {
+    id: 'l1',
+    version: 3,
+    title: '=cmd|" /C calc"!A0',
+    location: 'Cebu, PH',
+    description: 'Two\nlines',
+    beds: 2,
+    baths: 1,
+    status: 'published',
+    mainImage: 'a.jpg',
+    gallery: ['a.jpg', 'b.jpg'],
+    captions: { 'a.jpg': 'Front, at dusk' },
+    amenities: ['Pool', 'Gym'],
+    locations: [],
+    pricing: [
+      { title: 'Studio', type: 'Sea view', floorArea: 24, totalPrice: 2500000, items: ['-10% promo', 'Corner'] },
+      { title: '@Penthouse', type: '', totalPrice: 9000000, items: [] }
+    ]
+  };
+
+  it('writes one row per unit, continuation rows repeating only the id', () => {
+    const rows = parseCsv(listingsToCsv([listing, { id: 'l2', title: 'Empty', location: 'Manila' }]));
+    assert.equal(rows.length, 4);
+    const header = rows[0];
+    const cell = (row, column) => row[header.indexOf(column)];
+    assert.equal(cell(rows[1], 'title'), '\'=cmd|" /C calc"!A0');
+    assert.equal(cell(rows[2], 'id'), 'l1');
+    assert.equal(cell(rows[2], 'title'), '');
+    assert.equal(cell(rows[2], 'unitTitle'), "'@Penthouse");
+    assert.equal(cell(rows[3], 'unitTitle'), '');
+  });
+
+  it('round-trips through csvToListings', () => {
+    const { listings } = csvToListings(listingsToCsv([listing]));
+    assert.equal(listings.length, 1);
+    const parsed = listings[0].listing;
+    assert.equal(parsed.title, listing.title);
+    assert.equal(parsed.location, 'Cebu, PH');
+    assert.equal(parsed.description, 'Two\nlines');
+    assert.equal(parsed.version, 3);
+    assert.deepEqual(parsed.gallery, ['a.jpg', 'b.jpg']);
+    assert.deepEqual(parsed.captions, { 'a.jpg': 'Front, at dusk' });
+    assert.deepEqual(parsed.pricing.map(u => [u.title, u.totalPrice, u.items]), [
+      ['Studio', '2500000', ['-10% promo', 'Corner']],
+      ['@Penthouse', '9000000', []]
+    ]);
+  });
+});
@@ -0,0 +1,44 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { renderListingPage } = require('../lib/listing-page');
+
+const INDEX = '<html><head>\n    <meta charset="UTF-8">\n    <title>Atheni Lynn</title>\n    <link rel="stylesheet" href="style.css">\n</head><body></body></html>';
+const page = { origin: 'https://example.com', path: '/listing/l1' };
+
+function metaContent(html, property) {
+  const match = html.match(new RegExp(`<meta (?:property|name)="${property}" content="([^"]*)">`));
+  return match && match[1];
+}
+
+describe('renderListingPage', () => {
+  it('adds the listing tags ahead of the title', () => {
+    const html = renderListingPage(INDEX, { title: 'Auria', location: 'Cebu', mainImage: 'uploads/a.jpg' }, page);
+    assert.equal(metaContent(html, 'og:title'), 'Auria');
+    assert.equal(metaContent(html, 'og:description'), 'Cebu');
+    assert.equal(metaContent(html, 'og:image'), 'https://example.com/uploads/a.jpg');
+    assert.equal(metaContent(html, 'og:url'), 'https://example.com/listing/l1');
+    assert.ok(html.indexOf('<base href="/">') < html.indexOf('<link rel="stylesheet"'));
+    assert.match(html, /<title>Auria - Atheni Lynn Real Estate<\/title>/);
+  });
+
+  it('falls back to the default image when the listing only has data URLs', () => {
+    const html = renderListingPage(INDEX, { title: 'Auria', mainImage: 'data:image/png;base64,AAAA' }, page);
+    assert.equal(metaContent(html, 'og:image'), 'https://example.com/auria.jpg');
+  });
+
+  it('renders a not-found head for a missing listing', () => {
+    const html = renderListingPage(INDEX, null, page);
+    assert.match(html, /<title>Listing not found - Atheni Lynn Real Estate<\/title>/);
+    assert.equal(metaContent(html, 'og:description'), 'This listing is no longer available.');
+  });
+
+  it('inserts titles and descriptions literally, including replacement patterns', () => {
+    const listing = { title: "Save $' now $&", description: 'Was $` before, <b>"quoted"</b>' };
+    const html = renderListingPage(INDEX, listing, page);
+    assert.equal(metaContent(html, 'og:title'), 'Save $&#39; now $&amp;');
+    assert.equal(metaContent(html, 'og:description'), 'Was $` before, &lt;b&gt;&quot;quoted&quot;&lt;/b&gt;');
+    assert.match(html, /<title>Save \$&#39; now \$&amp; - Atheni Lynn Real Estate<\/title>/);
+    assert.equal(html.split('<title>').length, 2);
+    assert.ok(html.endsWith('<link rel="stylesheet" href="style.css">\n</head><body></body></html>'));
+  });
+});
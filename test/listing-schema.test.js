@@ -0,0 +1,135 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { validateListing, validateListingPatch, isPublicListing, formatErrors } = require('../lib/listing-schema');
+
+const fieldsOf = errors => errors.map(e => e.field);
+
+describe('validateListing', () => {
+  it('normalizes a valid listing', () => {
+    const { valid, errors, value } = validateListing({
+      id: 42,
+      title: '  Auria Residences ',
+      location: 'Cebu City',
+      beds: '3',
+      baths: '',
+      gallery: 'a.jpg\n\n b.jpg ',
+      amenities: ['Pool', ' Gym '],
+      captions: { 'a.jpg': ' Living room ', 'gone.jpg': 'Dropped' },
+      unknown: 'dropped',
+      version: 4
+    });
+    assert.equal(valid, true, formatErrors(errors));
+    assert.equal(value.id, '42');
+    assert.equal(value.title, 'Auria Residences');
+    assert.equal(value.beds, 3);
+    assert.equal(value.baths, 0);
+    assert.deepEqual(value.gallery, ['a.jpg', 'b.jpg']);
+    assert.deepEqual(value.amenities, ['Pool', 'Gym']);
+    assert.deepEqual(value.captions, { 'a.jpg': 'Living room' });
+    assert.equal(value.status, 'published');
+    assert.equal(value.publishAt, null);
+    assert.equal(value.version, 4);
+    assert.equal('unknown' in value, false);
+  });
+
+  it('requires a title and location', () => {
+    const { valid, errors } = validateListing({ title: '  ', location: null });
+    assert.equal(valid, false);
+    assert.deepEqual(fieldsOf(errors), ['title', 'location']);
+  });
+
+  it('rejects values of the wrong type or out of range', () => {
+    const { errors } = validateListing({
+      title: 'x'.repeat(201),
+      location: 7,
+      beds: -1,
+      baths: 1.5,
+      amenities: [{}],
+      pricing: [{ title: 'Unit', downpaymentPercent: 150 }, 'not a unit'],
+      status: 'hidden'
+    });
+    assert.deepEqual(fieldsOf(errors), [
+      'title', 'location', 'beds', 'baths', 'amenities', 'pricing[0].downpaymentPercent', 'pricing[1]', 'status'
+    ]);
+  });
+
+  it('rejects anything but an object', () => {
+    for (const input of [null, 'listing', []]) {
+      assert.deepEqual(validateListing(input), { valid: false, errors: [{ field: '', message: 'Listing must be an object' }], value: null });
+    }
+  });
+
+  it('needs a publish time for scheduled listings', () => {
+    const base = { title: 'Auria', location: 'Cebu', status: 'scheduled' };
+    assert.deepEqual(fieldsOf(validateListing(base).errors), ['publishAt']);
+    assert.deepEqual(fieldsOf(validateListing({ ...base, publishAt: 'soon' }).errors), ['publishAt']);
+    const { valid, value } = validateListing({ ...base, publishAt: '2026-11-01T09:00:00+08:00' });
+    assert.equal(valid, true);
+    assert.equal(value.publishAt, '2026-11-01T01:00:00.000Z');
+  });
+});
+
+describe('validateListingPatch', () => {
+  const stored = {
+    id: 'l1',
+    title: 'Auria',
+    location: 'Cebu',
+    mainImage: 'a.jpg',
+    gallery: ['b.jpg'],
+    captions: { 'a.jpg': 'Front' },
+    status: 'published',
+    version: 3
+  };
+
+  it('merges the patch into the stored listing', () => {
+    const { valid, value } = validateListingPatch(stored, { title: 'Auria 2', id: 'other' });
+    assert.equal(valid, true);
+    assert.equal(value.id, 'l1');
+    assert.equal(value.title, 'Auria 2');
+    assert.equal(value.location, 'Cebu');
+    assert.deepEqual(value.captions, { 'a.jpg': 'Front' });
+  });
+
+  it('rejects invalid patched fields', () => {
+    const { valid, errors } = validateListingPatch(stored, { title: '', beds: 'many' });
+    assert.equal(valid, false);
+    assert.deepEqual(fieldsOf(errors), ['title', 'beds']);
+  });
+
+  it('ignores errors in untouched fields and keeps their stored value', () => {
+    const legacy = { ...stored, location: '', beds: 'two' };
+    const { valid, value } = validateListingPatch(legacy, { title: 'Auria 2' });
+    assert.equal(valid, true);
+    assert.equal(value.location, '');
+    assert.equal(value.beds, 'two');
+  });
+
+  it('checks publishAt when the status changes', () => {
+    const { valid, errors } = validateListingPatch(stored, { status: 'scheduled' });
+    assert.equal(valid, false);
+    assert.deepEqual(fieldsOf(errors), ['publishAt']);
+  });
+
+  it('checks captions when the images change', () => {
+    const captioned = { ...stored, captions: { 'a.jpg': 'Front', 'b.jpg': 'x'.repeat(201) } };
+    assert.equal(validateListingPatch(captioned, { title: 'Auria 2' }).valid, true);
+    const { valid, errors } = validateListingPatch(captioned, { gallery: ['b.jpg', 'c.jpg'] });
+    assert.equal(valid, false);
+    assert.deepEqual(fieldsOf(errors), ['captions']);
+  });
+
+  it('rejects a patch that is not an object', () => {
+    assert.equal(validateListingPatch(stored, ['title']).valid, false);
+    assert.equal(validateListingPatch(stored, null).valid, false);
+  });
+});
+
+describe('isPublicListing', () => {
+  it('shows published and sold listings, and listings from before statuses', () => {
+    assert.equal(isPublicListing({ status: 'published' }), true);
+    assert.equal(isPublicListing({ status: 'sold' }), true);
+    assert.equal(isPublicListing({}), true);
+    assert.equal(isPublicListing({ status: 'draft' }), false);
+    assert.equal(isPublicListing({ status: 'scheduled' }), false);
+  });
+});
@@ -0,0 +1,148 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseAmount, migratePricingUnit, computePricing, amortize, scheduleToCsv, formatPeso } = require('../lib/pricing');
+
+// A unit as it was stored before pricing had numeric terms (from the Auria listing)
+const LEGACY_STUDIO = {
+  title: 'STUDIO UNIT - 22.1 sqm',
+  type: 'East Mandaue/City View',
+  items: [
+    'Total Selling Price: ₱4,381,104',
+    'Reservation Fee: ₱20,000',
+    '15% Downpayment payable in 60 months: ₱8,000/month',
+    '85% Balance payable through bank financing'
+  ]
+};
+
+const cents = value => Math.round(value * 100) / 100;
+
+describe('parseAmount', () => {
+  it('reads the first number in peso text', () => {
+    assert.equal(parseAmount('₱4,381,104'), 4381104);
+    assert.equal(parseAmount('4381104.50'), 4381104.5);
+    assert.equal(parseAmount('about 15%'), 15);
+    assert.equal(parseAmount('n/a'), null);
+    assert.equal(parseAmount(NaN), null);
+  });
+});
+
+describe('migratePricingUnit', () => {
+  it('turns the legacy Auria lines into numeric terms', () => {
+    assert.deepEqual(migratePricingUnit(LEGACY_STUDIO), {
+      title: 'STUDIO UNIT - 22.1 sqm',
+      type: 'East Mandaue/City View',
+      floorArea: 22.1,
+      totalPrice: 4381104,
+      reservationFee: 20000,
+      downpaymentPercent: 15,
+      downpaymentMonths: 60,
+      monthlyDownpayment: 8000,
+      bankFinancedPercent: 85,
+      items: []
+    });
+  });
+
+  it('reads each of the legacy Auria units', () => {
+    const units = [
+      ['1BR UNIT - 45.27 sqm', '₱8,264,491', '₱22,600', 45.27, 8264491, 22600],
+      ['2BR UNIT - 66.52 sqm', '₱12,814,412', '₱35,000', 66.52, 12814412, 35000]
+    ];
+    units.forEach(([title, price, monthly, floorArea, totalPrice, monthlyDownpayment]) => {
+      const unit = migratePricingUnit({
+        title,
+        items: [`Total Selling Price: ${price}`, `15% Downpayment payable in 60 months: ${monthly}/month`]
+      });
+      assert.deepEqual(
+        [unit.floorArea, unit.totalPrice, unit.downpaymentMonths, unit.monthlyDownpayment],
+        [floorArea, totalPrice, 60, monthlyDownpayment]
+      );
+    });
+  });
+
+  it('keeps unrecognized lines as notes', () => {
+    const unit = migratePricingUnit({ title: 'Penthouse', items: ['Reservation Fee: ₱50,000', 'Free parking slot'] });
+    assert.equal(unit.reservationFee, 50000);
+    assert.equal(unit.floorArea, null);
+    assert.deepEqual(unit.items, ['Free parking slot']);
+  });
+
+  it('leaves structured units as they are', () => {
+    const structured = migratePricingUnit(LEGACY_STUDIO);
+    assert.deepEqual(migratePricingUnit(structured), structured);
+  });
+});
+
+describe('computePricing', () => {
+  it('derives the sample computation from the terms', () => {
+    const terms = computePricing(migratePricingUnit(LEGACY_STUDIO));
+    assert.equal(cents(terms.pricePerSqm), 198240.0);
+    assert.equal(cents(terms.downpaymentAmount), 657165.6);
+    assert.equal(cents(terms.netDownpayment), 637165.6);
+    assert.equal(terms.monthlyDownpayment, 8000);
+    assert.equal(terms.monthlyIsQuoted, true);
+    assert.equal(terms.balancePercent, 85);
+    assert.equal(cents(terms.balanceAmount), 3723938.4);
+  });
+
+  it('divides the net downpayment when no monthly figure is quoted', () => {
+    const terms = computePricing({ totalPrice: 1000000, reservationFee: 10000, downpaymentPercent: 20, downpaymentMonths: 24 });
+    assert.equal(terms.monthlyDownpayment, 7916.666666666667);
+    assert.equal(terms.monthlyIsQuoted, false);
+    assert.equal(terms.balancePercent, 80);
+  });
+
+  it('leaves figures without inputs empty', () => {
+    const terms = computePricing({ title: 'Price on request' });
+    assert.deepEqual(terms, {
+      pricePerSqm: null,
+      downpaymentAmount: null,
+      netDownpayment: null,
+      monthlyDownpayment: null,
+      monthlyIsQuoted: false,
+      balancePercent: null,
+      balanceAmount: null
+    });
+  });
+});
+
+describe('amortize', () => {
+  it('matches known level payments', () => {
+    assert.equal(cents(amortize(100000, 12, 12).monthlyPayment), 8884.88);
+    assert.equal(cents(amortize(1000000, 6, 360).monthlyPayment), 5995.51);
+  });
+
+  it('builds a schedule that closes the loan at zero', () => {
+    const loan = amortize(100000, 12, 12);
+    assert.equal(loan.schedule.length, 12);
+    assert.deepEqual(loan.schedule[0], {
+      month: 1, payment: loan.monthlyPayment, principal: loan.monthlyPayment - 1000, interest: 1000, balance: 100000 - (loan.monthlyPayment - 1000)
+    });
+    assert.equal(loan.schedule[11].balance, 0);
+    assert.equal(cents(loan.totalInterest), 6618.55);
+    assert.equal(cents(loan.totalPaid), 106618.55);
+    assert.equal(cents(loan.schedule.reduce((sum, row) => sum + row.principal, 0)), 100000);
+  });
+
+  it('splits an interest-free loan evenly', () => {
+    const loan = amortize(120000, 0, 12);
+    assert.equal(loan.monthlyPayment, 10000);
+    assert.equal(loan.totalInterest, 0);
+  });
+
+  it('returns an empty schedule without a principal or term', () => {
+    assert.deepEqual(amortize(0, 6, 12), { monthlyPayment: 0, totalInterest: 0, totalPaid: 0, schedule: [] });
+    assert.deepEqual(amortize(100000, 6, 0).schedule, []);
+  });
+});
+
+describe('scheduleToCsv and formatPeso', () => {
+  it('writes the schedule with two decimals', () => {
+    const lines = scheduleToCsv(amortize(120000, 0, 2).schedule).split('\n');
+    assert.deepEqual(lines, ['Month,Payment,Principal,Interest,Balance', '1,60000.00,60000.00,0.00,60000.00', '2,60000.00,60000.00,0.00,0.00']);
+  });
+
+  it('formats whole pesos', () => {
+    assert.equal(formatPeso(4381104.4), '₱4,381,104');
+    assert.equal(formatPeso(null), '—');
+  });
+});
@@ -0,0 +1,110 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+// ============================================
+// STORAGE ADAPTER CONTRACT (see lib/storage.js)
+// ============================================
+// The behaviour every storage backend must share. setup() is called before each test and
+// returns a fresh, empty backend:
+//   open()         -> a new adapter on that backend; adapters opened later see what
+//                     earlier ones wrote once those were closed
+//   openFailing()  -> an adapter on that backend whose writes reject
+//   openCorrupt()  -> makes the stored data unreadable, then opens an adapter and lists a
+//                     collection; must reject with err.code 'STORAGE_CORRUPT'. Only needed
+//                     with { corruptible: true }, for backends that keep a local file.
+//   cleanup()
+function storageContract(name, setup, { corruptible = false } = {}) {
+  describe(`${name} storage adapter`, () => {
+    let backend;
+    let storage;
+
+    beforeEach(async () => {
+      backend = await setup();
+      storage = backend.open();
+    });
+
+    afterEach(async () => {
+      await storage.close().catch(() => {});
+      await backend.cleanup();
+    });
+
+    const byId = docs => docs.slice().sort((a, b) => a.id.localeCompare(b.id));
+
+    it('lists an unknown collection as empty', async () => {
+      assert.deepEqual(await storage.list('things'), []);
+    });
+
+    it('inserts documents with put', async () => {
+      await storage.put('things', { id: 'a', name: 'Alpha', tags: ['x'], nested: { n: 1 } });
+      await storage.put('things', { id: 'b', name: 'Beta' });
+      assert.deepEqual(byId(await storage.list('things')), [
+        { id: 'a', name: 'Alpha', tags: ['x'], nested: { n: 1 } },
+        { id: 'b', name: 'Beta' }
+      ]);
+    });
+
+    it('replaces the document with the same id, dropping removed fields', async () => {
+      await storage.put('things', { id: 'a', name: 'Alpha', old: true });
+      await storage.put('things', { id: 'a', name: 'Alpha 2' });
+      assert.deepEqual(await storage.list('things'), [{ id: 'a', name: 'Alpha 2' }]);
+    });
+
+    it('keeps collections apart', async () => {
+      await storage.put('things', { id: 'a', kind: 'thing' });
+      await storage.put('others', { id: 'a', kind: 'other' });
+      assert.deepEqual(await storage.list('things'), [{ id: 'a', kind: 'thing' }]);
+      assert.deepEqual(await storage.list('others'), [{ id: 'a', kind: 'other' }]);
+    });
+
+    it('removes documents by id', async () => {
+      await storage.put('things', { id: 'a' });
+      await storage.put('things', { id: 'b' });
+      await storage.remove('things', 'a');
+      assert.deepEqual(await storage.list('things'), [{ id: 'b' }]);
+    });
+
+    it('ignores removing an id that does not exist', async () => {
+      await storage.put('things', { id: 'a' });
+      await storage.remove('things', 'missing');
+      assert.deepEqual(await storage.list('things'), [{ id: 'a' }]);
+    });
+
+    it('filters list by field equality', async () => {
+      await storage.put('things', { id: 'a', listingId: 'l1', status: 'new' });
+      await storage.put('things', { id: 'b', listingId: 'l1', status: 'closed' });
+      await storage.put('things', { id: 'c', listingId: 'l2', status: 'new' });
+      assert.deepEqual(byId(await storage.list('things', { listingId: 'l1' })).map(d => d.id), ['a', 'b']);
+      assert.deepEqual((await storage.list('things', { listingId: 'l1', status: 'new' })).map(d => d.id), ['a']);
+      assert.deepEqual(await storage.list('things', { listingId: 'none' }), []);
+      assert.equal((await storage.list('things', {})).length, 3);
+    });
+
+    it('finishes pending writes on close', async () => {
+      await storage.put('things', { id: 'a', name: 'Alpha' });
+      const pending = storage.put('things', { id: 'b', name: 'Beta' });
+      await storage.close();
+      await pending;
+      storage = backend.open();
+      assert.deepEqual(byId(await storage.list('things')).map(d => d.id), ['a', 'b']);
+    });
+
+    it('rejects failed writes', async () => {
+      const failing = backend.openFailing();
+      try {
+        await assert.rejects(failing.put('things', { id: 'a' }));
+        await assert.rejects(failing.remove('things', 'a'));
+      } finally {
+        await failing.close().catch(() => {});
+      }
+    });
+
+    if (corruptible) {
+      it('reports unreadable data as STORAGE_CORRUPT', async () => {
+        await storage.close();
+        await assert.rejects(backend.openCorrupt(), { code: 'STORAGE_CORRUPT' });
+      });
+    }
+  });
+}
+
+module.exports = { storageContract };
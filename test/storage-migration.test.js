@@ -0,0 +1,135 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createJsonFileStorage } = require('../lib/storage');
+const { migrateListings } = require('../lib/storage-migration');
+
+const PIXEL = 'data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mP8z8BQDwAEhQGAhKmMIQAAAABJRU5ErkJggg==';
+
+// Stands in for lib/media-store.js: remembers what was saved and hands out new URLs
+function createFakeMediaStore(type = 'local') {
+  const saved = [];
+  return {
+    type,
+    saved,
+    async save(file) {
+      saved.push(file);
+      return { url: `/uploads/m${saved.length}/web.jpg` };
+    }
+  };
+}
+
+// Counts the writes that reach an adapter
+function countingWrites(storage) {
+  const counted = { ...storage, writes: 0 };
+  counted.put = (collection, doc) => {
+    counted.writes++;
+    return storage.put(collection, doc);
+  };
+  return counted;
+}
+
+describe('migrateListings', () => {
+  let dir;
+  let from;
+  let to;
+
+  beforeEach(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'migration-test-'));
+    from = createJsonFileStorage(path.join(dir, 'from'));
+    to = countingWrites(createJsonFileStorage(path.join(dir, 'to')));
+    await from.put('listings', {
+      id: 'l1', version: 2, title: 'Auria', mainImage: PIXEL, gallery: [PIXEL, 'https://cdn.example.com/b.jpg'],
+      captions: { [PIXEL]: 'Front' }
+    });
+    await from.put('listings', { id: 'l2', version: 1, title: 'Trashed', deletedAt: '2026-10-01T00:00:00.000Z' });
+  });
+
+  afterEach(async () => {
+    await from.close();
+    await to.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const run = (mediaStore, extra = {}) => migrateListings({ from, to, mediaStore, rootDir: dir, uploadsDir: path.join(dir, 'uploads'), ...extra });
+  const byId = async storage => new Map((await storage.list('listings')).map(l => [l.id, l]));
+
+  it('copies every listing and moves data URL images once', async () => {
+    const mediaStore = createFakeMediaStore();
+    const report = await run(mediaStore);
+    assert.deepEqual([report.total, report.created, report.failed, report.images.moved], [2, 2, 0, 1]);
+    assert.equal(mediaStore.saved.length, 1);
+    assert.equal(mediaStore.saved[0].mimetype, 'image/png');
+
+    const copied = (await byId(to)).get('l1');
+    assert.equal(copied.mainImage, '/uploads/m1/web.jpg');
+    assert.deepEqual(copied.gallery, ['/uploads/m1/web.jpg', 'https://cdn.example.com/b.jpg']);
+    assert.deepEqual(copied.captions, { '/uploads/m1/web.jpg': 'Front' });
+    assert.equal(copied.version, 2);
+    assert.equal((await byId(to)).get('l2').deletedAt, '2026-10-01T00:00:00.000Z');
+  });
+
+  it('changes nothing when run a second time', async () => {
+    const mediaStore = createFakeMediaStore();
+    await run(mediaStore);
+    const before = await byId(to);
+    const writes = to.writes;
+
+    const report = await run(mediaStore);
+    assert.deepEqual([report.unchanged, report.created, report.updated, report.images.moved], [2, 0, 0, 0]);
+    assert.equal(to.writes, writes);
+    assert.equal(mediaStore.saved.length, 1);
+    assert.deepEqual(await byId(to), before);
+  });
+
+  it('writes and uploads nothing on a dry run', async () => {
+    const mediaStore = createFakeMediaStore();
+    const report = await run(mediaStore, { dryRun: true });
+    assert.equal(report.dryRun, true);
+    assert.deepEqual([report.created, report.images.moved], [2, 1]);
+    assert.equal(to.writes, 0);
+    assert.equal(mediaStore.saved.length, 0);
+    assert.deepEqual(await to.list('listings'), []);
+    assert.equal(fs.existsSync(path.join(dir, 'to')), false);
+  });
+
+  it('updates older or different copies and keeps newer ones', async () => {
+    await run(createFakeMediaStore());
+    await from.put('listings', { id: 'l2', version: 1, title: 'Edited without a version bump' });
+    await to.put('listings', { id: 'l3', version: 5, title: 'Newer in target' });
+    await from.put('listings', { id: 'l3', version: 4, title: 'Older in source' });
+
+    const report = await run(createFakeMediaStore());
+    const entries = Object.fromEntries(report.listings.map(l => [l.id, l.action]));
+    assert.deepEqual(entries, { l1: 'unchanged', l2: 'update', l3: 'skipped' });
+    const target = await byId(to);
+    assert.equal(target.get('l2').title, 'Edited without a version bump');
+    assert.equal(target.get('l3').title, 'Newer in target');
+  });
+
+  it('uploads local files when the target store is the cloud bucket', async () => {
+    fs.writeFileSync(path.join(dir, 'auria.jpg'), 'jpeg bytes');
+    await from.put('listings', { id: 'l1', version: 2, title: 'Auria', mainImage: 'auria.jpg', gallery: [] });
+
+    const mediaStore = createFakeMediaStore('cloud');
+    await run(mediaStore);
+    assert.equal(mediaStore.saved.length, 1);
+    assert.equal(mediaStore.saved[0].originalname, 'auria.jpg');
+    assert.equal((await byId(to)).get('l1').mainImage, '/uploads/m1/web.jpg');
+
+    const again = await run(mediaStore);
+    assert.equal(again.listings.find(l => l.id === 'l1').action, 'unchanged');
+    assert.equal(mediaStore.saved.length, 1);
+  });
+
+  it('reports a listing whose image cannot be moved and goes on', async () => {
+    const mediaStore = createFakeMediaStore();
+    mediaStore.save = async () => { throw new Error('bucket unavailable'); };
+    const report = await run(mediaStore);
+    assert.deepEqual([report.failed, report.created, report.images.failed], [1, 1, 1]);
+    assert.match(report.listings.find(l => l.id === 'l1').error, /bucket unavailable/);
+    assert.deepEqual([...(await byId(to)).keys()], ['l2']);
+  });
+});
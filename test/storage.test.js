@@ -0,0 +1,183 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createJsonFileStorage, createSqliteStorage, createFirestoreStorage } = require('../lib/storage');
+const { storageContract } = require('./storage-contract');
+
+function tempDir() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), 'storage-test-'));
+}
+
+function removeDir(dir) {
+  fs.rmSync(dir, { recursive: true, force: true });
+}
+
+// better-sqlite3 is an optional dependency
+function hasSqlite() {
+  try {
+    require.resolve('better-sqlite3');
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+storageContract('json', async () => {
+  const dir = tempDir();
+  return {
+    open: () => createJsonFileStorage(dir),
+    // A regular file where the data directory should be: every read and write fails
+    openFailing: () => {
+      const file = path.join(dir, 'not-a-dir');
+      fs.writeFileSync(file, '');
+      return createJsonFileStorage(file);
+    },
+    openCorrupt: async () => {
+      fs.writeFileSync(path.join(dir, 'things.json'), '[{"id": "a", ');
+      await createJsonFileStorage(dir).list('things');
+    },
+    cleanup: () => removeDir(dir)
+  };
+}, { corruptible: true });
+
+if (hasSqlite()) storageContract('sqlite', async () => {
+  const dir = tempDir();
+  const file = path.join(dir, 'store.db');
+  return {
+    open: () => createSqliteStorage(file),
+    openFailing: () => {
+      const storage = createSqliteStorage(file);
+      storage.close();
+      return storage;
+    },
+    openCorrupt: async () => {
+      fs.readdirSync(dir).forEach(name => fs.unlinkSync(path.join(dir, name)));
+      fs.writeFileSync(file, 'this is not a SQLite database, just some text in its place');
+      await createSqliteStorage(file).list('things');
+    },
+    cleanup: () => removeDir(dir)
+  };
+}, { corruptible: true });
+
+// The part of the Firestore Admin API the adapter uses, kept in memory. Documents are
+// copied in and out like the real client does.
+function createFakeFirestore({ failWrites = false } = {}, collections = new Map()) {
+  const copy = value => JSON.parse(JSON.stringify(value));
+  const docsOf = name => {
+    if (!collections.has(name)) collections.set(name, new Map());
+    return collections.get(name);
+  };
+  const query = (name, filters) => ({
+    where: (field, op, value) => {
+      if (op !== '==') throw new Error(`Unsupported operator ${op}`);
+      return query(name, filters.concat([[field, value]]));
+    },
+    async get() {
+      const matching = Array.from(docsOf(name).entries())
+        .filter(([, data]) => filters.every(([field, value]) => data[field] === value));
+      return { forEach: fn => matching.forEach(([id, data]) => fn({ id, data: () => copy(data) })) };
+    }
+  });
+  const fail = async () => { throw new Error('PERMISSION_DENIED: writes are not allowed'); };
+  return {
+    collection: name => ({
+      ...query(name, []),
+      doc: id => ({
+        set: failWrites ? fail : async data => { docsOf(name).set(id, copy(data)); },
+        delete: failWrites ? fail : async () => { docsOf(name).delete(id); }
+      })
+    })
+  };
+}
+
+storageContract('firestore (in-memory stub)', async () => {
+  const collections = new Map();
+  return {
+    open: () => createFirestoreStorage(createFakeFirestore({}, collections)),
+    openFailing: () => createFirestoreStorage(createFakeFirestore({ failWrites: true }, collections)),
+    cleanup: () => {}
+  };
+});
+
+// JSON adapter specifics: atomic writes and rotating backups
+describe('json storage files', () => {
+  let dir;
+  let storage;
+  // Backup names carry a millisecond timestamp; wait so each one is distinct
+  const tick = () => new Promise(resolve => setTimeout(resolve, 5));
+  const readJson = file => JSON.parse(fs.readFileSync(file, 'utf8'));
+
+  beforeEach(() => {
+    dir = tempDir();
+  });
+
+  afterEach(async () => {
+    if (storage) await storage.close();
+    storage = null;
+    removeDir(dir);
+  });
+
+  it('leaves the previous file whole when a write fails before the rename', async t => {
+    storage = createJsonFileStorage(dir);
+    await storage.put('things', { id: 'a', name: 'Alpha' });
+    t.mock.method(fs.promises, 'rename', async () => {
+      throw new Error('simulated crash');
+    });
+    await assert.rejects(storage.put('things', { id: 'b', name: 'Beta'.repeat(10000) }), /simulated crash/);
+    t.mock.restoreAll();
+
+    assert.deepEqual(readJson(path.join(dir, 'things.json')), [{ id: 'a', name: 'Alpha' }]);
+    assert.deepEqual(fs.readdirSync(dir).filter(name => name.endsWith('.tmp')), []);
+    assert.deepEqual(await createJsonFileStorage(dir).list('things'), [{ id: 'a', name: 'Alpha' }]);
+  });
+
+  it('keeps only the newest backups per collection', async () => {
+    storage = createJsonFileStorage(dir, {}, { keep: 2, intervalMs: 0 });
+    for (const name of ['one', 'two', 'three', 'four']) {
+      await storage.put('things', { id: 'a', name });
+      await tick();
+    }
+    await storage.put('others', { id: 'x' });
+
+    const backups = await storage.listBackups();
+    assert.deepEqual(backups.map(b => b.collection), ['things', 'things']);
+    // Newest first: the copies taken before the fourth and third writes
+    assert.deepEqual(backups.map(b => readJson(path.join(dir, 'backups', b.name))[0].name), ['three', 'two']);
+    assert.equal(fs.readdirSync(path.join(dir, 'backups')).length, 2);
+  });
+
+  it('takes at most one backup per interval', async () => {
+    storage = createJsonFileStorage(dir, {}, { intervalMs: 60 * 60 * 1000 });
+    await storage.put('things', { id: 'a', name: 'one' });
+    await storage.put('things', { id: 'a', name: 'two' });
+    await tick();
+    await storage.put('things', { id: 'a', name: 'three' });
+    assert.equal((await storage.listBackups()).length, 1);
+  });
+
+  it('restores the chosen backup and backs up the current data first', async () => {
+    storage = createJsonFileStorage(dir, {}, { intervalMs: 0 });
+    for (const name of ['one', 'two', 'three']) {
+      await storage.put('things', { id: 'a', name });
+      await tick();
+    }
+    const [latest, oldest] = await storage.listBackups();
+    assert.equal(readJson(path.join(dir, 'backups', oldest.name))[0].name, 'one');
+    assert.equal(readJson(path.join(dir, 'backups', latest.name))[0].name, 'two');
+
+    assert.deepEqual(await storage.restoreBackup(oldest.name), { collection: 'things', count: 1 });
+    assert.deepEqual(await storage.list('things'), [{ id: 'a', name: 'one' }]);
+    assert.deepEqual(await createJsonFileStorage(dir).list('things'), [{ id: 'a', name: 'one' }]);
+
+    const [beforeRestore] = await storage.listBackups();
+    assert.equal(readJson(path.join(dir, 'backups', beforeRestore.name))[0].name, 'three');
+  });
+
+  it('refuses unknown or malformed backup names', async () => {
+    storage = createJsonFileStorage(dir);
+    await assert.rejects(storage.restoreBackup('things-2026-01-01T00-00-00-000Z.json'), { code: 'NOT_FOUND' });
+    await assert.rejects(storage.restoreBackup('../things.json'), { code: 'NOT_FOUND' });
+  });
+});